@@ -0,0 +1,207 @@
+/**
+ * Tempo Worker Admin API
+ *
+ * Operator endpoints, mounted under /admin. Every request needs
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`; without that env var the API
+ * is not mounted at all. Interventions (pause / resume / close, retry,
+ * manual grant) go through the normal pipeline and are written to
+ * monibot_admin_actions with the operator named in X-Admin-Actor.
+ */
+
+import express from 'express';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { setCampaignPaused, closeCampaign, payManualGrant } from './database.js';
+import { retryJob } from './jobs.js';
+import { getOperatorBalances } from './blockchain.js';
+import { findToken } from './tokens.js';
+import { withLogContext } from './logger.js';
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+const MAX_PAGE_SIZE = 500;
+
+// Job kind behind each retryable monibot_transactions row type
+const JOB_KINDS = { grant: 'grant', p2p_command: 'p2p' };
+
+let supabase = null;
+
+export function initAdmin(supabaseClient) {
+  supabase = supabaseClient;
+  console.log(ADMIN_API_TOKEN ? '✅ Admin API enabled on /admin' : '⚠️ ADMIN_API_TOKEN not set - admin API disabled');
+}
+
+// ============ Auth & Audit ============
+
+const digest = value => createHash('sha256').update(value).digest();
+
+function requireToken(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token || !timingSafeEqual(digest(token), digest(ADMIN_API_TOKEN))) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+function actorOf(req) {
+  return (req.get('x-admin-actor') || 'admin').slice(0, 100);
+}
+
+/**
+ * Record an intervention, run it, and store its outcome on the same entry
+ */
+async function audit(req, action, target, params, run) {
+  const actor = actorOf(req);
+  const { data: entry, error } = await supabase
+    .from('monibot_admin_actions')
+    .insert({ actor, action, target, params })
+    .select('id')
+    .single();
+  if (error) throw error;
+
+  console.log(`🛠️ Admin ${actor}: ${action} ${target}`);
+  let result = null;
+  let failure = null;
+  try {
+    result = await withLogContext({ admin_action: entry.id, actor }, () => run(entry.id, actor));
+  } catch (err) {
+    failure = err;
+  }
+
+  await supabase
+    .from('monibot_admin_actions')
+    .update({ result, error: failure?.message || null })
+    .eq('id', entry.id);
+  if (failure) throw failure;
+  return result;
+}
+
+// Express 4 doesn't catch rejected promises from handlers
+const handle = fn => (req, res) =>
+  fn(req, res).catch(err => {
+    console.error(`❌ Admin ${req.method} ${req.path} error:`, err.message);
+    res.status(500).json({ error: err.message });
+  });
+
+// ============ Routes ============
+
+/**
+ * @returns the /admin router, or null when ADMIN_API_TOKEN is not set
+ */
+export function createAdminRouter() {
+  if (!ADMIN_API_TOKEN) return null;
+
+  const router = express.Router();
+  router.use(requireToken, express.json());
+
+  // ?status=&type=&token=&campaign_id=&tweet_id=&error_code=&tx_hash=&pay_tag=&since=&until=&limit=&offset=
+  router.get('/transactions', handle(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, MAX_PAGE_SIZE);
+    const offset = parseInt(req.query.offset || '0', 10) || 0;
+
+    let query = supabase
+      .from('monibot_transactions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    for (const field of ['status', 'type', 'token', 'campaign_id', 'tweet_id', 'error_code', 'tx_hash']) {
+      if (req.query[field]) query = query.eq(field, req.query[field]);
+    }
+    if (req.query.pay_tag) {
+      const tag = String(req.query.pay_tag).replace(/[^A-Za-z0-9_]/g, '');
+      query = query.or(`payer_pay_tag.eq.${tag},recipient_pay_tag.eq.${tag}`);
+    }
+    if (req.query.since) query = query.gte('created_at', req.query.since);
+    if (req.query.until) query = query.lte('created_at', req.query.until);
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+    res.json({ rows: data, count, limit, offset });
+  }));
+
+  router.get('/campaigns', handle(async (req, res) => {
+    let query = supabase
+      .from('campaigns')
+      .select('*')
+      .eq('network', 'tempo')
+      .order('created_at', { ascending: false });
+    if (req.query.status) query = query.eq('status', req.query.status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json({ campaigns: data });
+  }));
+
+  router.post('/campaigns/:id/:action(pause|resume)', handle(async (req, res) => {
+    const { id, action } = req.params;
+    const campaign = await audit(req, `campaign.${action}`, id, {}, () => setCampaignPaused(id, action === 'pause'));
+    if (!campaign) return res.status(409).json({ error: `Campaign ${id} is not ${action === 'pause' ? 'active' : 'paused'}` });
+    res.json({ campaign });
+  }));
+
+  router.post('/campaigns/:id/close', handle(async (req, res) => {
+    const { id } = req.params;
+    const campaign = await audit(req, 'campaign.close', id, {}, () => closeCampaign(id));
+    if (!campaign) return res.status(409).json({ error: `Campaign ${id} is not active or paused` });
+    res.json({ campaign });
+  }));
+
+  // Re-run a failed payout's job; the failed row is kept, marked retried
+  router.post('/transactions/:id/retry', handle(async (req, res) => {
+    const { data: row, error } = await supabase
+      .from('monibot_transactions')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!row) return res.status(404).json({ error: 'Transaction not found' });
+    if (row.status !== 'failed') return res.status(409).json({ error: `Transaction is ${row.status}, not failed` });
+
+    const kind = JOB_KINDS[row.type];
+    if (!kind) return res.status(409).json({ error: `${row.type} transactions cannot be retried` });
+
+    const { data: jobs, error: jobError } = await supabase
+      .from('monibot_jobs')
+      .select('*')
+      .eq('tweet_id', row.tweet_id)
+      .eq('kind', kind)
+      .eq('status', 'failed');
+    if (jobError) throw jobError;
+    const job = jobs?.find(
+      j => j.payload.row?.recipient_pay_tag === row.recipient_pay_tag && (j.payload.row?.campaign_id ?? null) === (row.campaign_id ?? null)
+    );
+    if (!job) return res.status(409).json({ error: 'No failed job found for this transaction' });
+
+    // The row is only marked once the job is accepted, so a rejected retry leaves it failed
+    const outcome = await audit(req, 'transaction.retry', row.id, { job_key: job.job_key }, async () => {
+      const result = await retryJob(job, {
+        onAccepted: async () => {
+          const { error: updateError } = await supabase.from('monibot_transactions').update({ status: 'retried' }).eq('id', row.id);
+          if (updateError) throw updateError;
+        },
+      });
+      return { paid: !!result, result };
+    });
+    res.json(outcome);
+  }));
+
+  // Body: { pay_tag, amount, reason, token?, campaign_id? }
+  router.post('/grants', handle(async (req, res) => {
+    const { pay_tag: payTag, amount, reason, token, campaign_id: campaignId } = req.body || {};
+    const value = Number(amount);
+    if (!payTag || typeof payTag !== 'string') return res.status(400).json({ error: 'pay_tag is required' });
+    if (!Number.isFinite(value) || value <= 0) return res.status(400).json({ error: 'amount must be a positive number' });
+    if (!reason || typeof reason !== 'string') return res.status(400).json({ error: 'reason is required' });
+    if (token && !findToken(token)) return res.status(400).json({ error: `Unknown token "${token}"` });
+
+    const outcome = await audit(req, 'grant.manual', payTag, { amount: value, reason, token, campaign_id: campaignId }, (ref, actor) =>
+      payManualGrant({ ref, payTag, amount: value, token, campaignId, actor })
+    );
+    if (outcome.error) return res.status(409).json({ error: outcome.error });
+    res.status(201).json({ paid: !!outcome.result, job_key: outcome.job.job_key, result: outcome.result });
+  }));
+
+  router.get('/balances', handle(async (req, res) => {
+    res.json(await getOperatorBalances());
+  }));
+
+  return router;
+}
@@ -5,25 +5,54 @@
  * AlphaUSD (TIP-20) at 0x20c0000000000000000000000000000000000001
  */
 
-import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, encodeFunctionData, erc20Abi } from 'viem';
+import {
+  createPublicClient,
+  createWalletClient,
+  http,
+  fallback,
+  parseUnits,
+  formatUnits,
+  encodeFunctionData,
+  keccak256,
+  erc20Abi,
+  ContractFunctionRevertedError,
+  NonceTooLowError,
+} from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
+import { Transaction } from 'viem/tempo';
+import { TxError, SimulationError, decodeTxError } from './errors.js';
+import { TREASURY, quoteFee, feeFromReceipt, rebateFromReceipt, checkFee } from './fees.js';
+import { resolveToken, listTokens } from './tokens.js';
+import { NETWORK, verifyNetwork } from './networks.js';
+import { timedTransport } from './metrics.js';
+import { log, withLogContext } from './logger.js';
 
-const TEMPO_CHAIN = {
-  id: 42431,
-  name: 'Tempo Testnet',
-  nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 },
-  rpcUrls: { default: { http: ['https://rpc.moderato.tempo.xyz'] } },
-  blockExplorers: { default: { name: 'Tempo Explorer', url: 'https://explore.tempo.xyz' } },
-};
+// Tempo chain config from the network profile: supplies the serializer for native Tempo (0x76) transactions
+const TEMPO_CHAIN = NETWORK.chain;
 
-const ALPHA_USD = '0x20c0000000000000000000000000000000000001';
-const DECIMALS = 6;
-const TREASURY = '0xDC9B47551734bE984D7Aa2a365251E002f8FF2D7';
-const FEE_BPS = 130; // 1.3%
+// MoniBotRouter only handles AlphaUSD; other registry tokens are paid directly
+const ALPHA_USD = resolveToken('AlphaUSD').address;
+const DECIMALS = 6; // TIP-20
+
+// Token the sponsor pays tx fees in (any TIP-20 USD token; all use 6 decimals)
+const FEE_TOKEN = process.env.TEMPO_FEE_TOKEN || ALPHA_USD;
+// Sponsor balance (in FEE_TOKEN) below which /health raises an alarm
+const SPONSOR_MIN_BALANCE = process.env.SPONSOR_MIN_BALANCE || '10';
+const SPONSOR_CHECK_TTL_MS = 60_000;
+
+// Per-endpoint RPC retries, backoff doubling from RPC_RETRY_DELAY_MS; then the next endpoint
+const RPC_RETRY_COUNT = parseInt(process.env.RPC_RETRY_COUNT || '3', 10);
+const RPC_RETRY_DELAY_MS = parseInt(process.env.RPC_RETRY_DELAY_MS || '250', 10);
+
+// Fee increase for a replacement tx (nodes require a bump to replace a pending nonce)
+const REPLACEMENT_FEE_BUMP_PCT = BigInt(process.env.REPLACEMENT_FEE_BUMP_PCT || '25');
+
+// DRY_RUN=true: simulate every write, never broadcast
+const DRY_RUN = process.env.DRY_RUN === 'true';
 
 // Deployed contracts
-const MONIBOT_ROUTER = '0x78A824fDE7Ee3E69B2e2Ee52d1136EECD76749fc';
-const MONIPAY_ROUTER = '0xa39C3B7e02686cf7F226337525515c694318BDb9';
+const MONIBOT_ROUTER = NETWORK.monibotRouter;
+const MONIPAY_ROUTER = NETWORK.monipayRouter;
 
 // MoniBotRouter ABI (functions + errors)
 const MONIBOT_ROUTER_ABI = [
@@ -51,6 +80,13 @@ const MONIBOT_ROUTER_ABI = [
     ],
     outputs: [{ type: 'bool' }],
   },
+  {
+    name: 'nonces',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'user', type: 'address' }],
+    outputs: [{ type: 'uint256' }],
+  },
   // Custom errors for proper decoding
   { name: 'NotExecutor', type: 'error', inputs: [] },
   { name: 'InvalidAddress', type: 'error', inputs: [] },
@@ -69,7 +105,39 @@ let sponsorAccount = null;
 let publicClient = null;
 let walletClient = null;
 
-export async function initBlockchain() {
+// Next P2P nonce per sender (lowercased address), ahead of chain while txs are pending
+const p2pNonces = new Map();
+
+// Next executor tx nonce, handed out locally so batched txs can be pipelined
+let executorNonce = null;
+
+// Last sponsor balance check, cached for the health endpoint
+let sponsorStatus = null;
+
+// Checked before anything is signed; the scheduler wires in its lease (setBroadcastGuard)
+let broadcastAllowed = () => true;
+
+// Executor funds owed to others, in whole units per token symbol (escrow.js registers it)
+let reservedFunds = async () => ({});
+
+/**
+ * RPC transport over the profile's endpoints: each is retried with backoff,
+ * then the next one is tried. Resending a write is safe - it's the same
+ * signed payload, so it can only be mined once.
+ */
+function rpcTransport() {
+  const transports = NETWORK.rpcUrls.map(url =>
+    http(url, { retryCount: RPC_RETRY_COUNT, retryDelay: RPC_RETRY_DELAY_MS })
+  );
+  return transports.length === 1 ? transports[0] : fallback(transports, { retryCount: 0 });
+}
+
+/**
+ * @param {{ transport?: import('viem').Transport }} [opts] - transport override
+ *   (e.g. an in-process mock); defaults to the profile's RPC endpoints
+ */
+export async function initBlockchain({ transport: baseTransport = rpcTransport() } = {}) {
+  const transport = timedTransport(baseTransport);
   const executorKey = process.env.TEMPO_EXECUTOR_PRIVATE_KEY;
   const sponsorKey = process.env.TEMPO_SPONSOR_PRIVATE_KEY || executorKey;
 
@@ -83,19 +151,35 @@ export async function initBlockchain() {
 
   publicClient = createPublicClient({
     chain: TEMPO_CHAIN,
-    transport: http('https://rpc.moderato.tempo.xyz'),
+    transport,
   });
 
   walletClient = createWalletClient({
     account: executorAccount,
     chain: TEMPO_CHAIN,
-    transport: http('https://rpc.moderato.tempo.xyz'),
+    transport,
   });
 
+  // Refuse to run against the wrong chain or missing routers
+  let problems;
+  try {
+    problems = await verifyNetwork(publicClient);
+  } catch (e) {
+    problems = [`RPC ${NETWORK.rpcUrls.join(', ')} unreachable: ${e.message}`];
+  }
+  if (problems.length) {
+    for (const problem of problems) console.error(`❌ ${problem}`);
+    process.exit(1);
+  }
+
+  console.log(`🌐 Network: ${NETWORK.key} - ${TEMPO_CHAIN.name} (${TEMPO_CHAIN.id})`);
+  if (NETWORK.rpcUrls.length > 1) console.log(`🔀 RPC fallbacks: ${NETWORK.rpcUrls.slice(1).join(', ')}`);
   console.log(`⛓️  Executor: ${executorAccount.address}`);
-  console.log(`💰 Sponsor:  ${sponsorAccount.address}`);
+  console.log(`💰 Sponsor:  ${sponsorAccount.address}${isSponsored() ? '' : ' (same as executor, self-paid fees)'}`);
+  console.log(`🪙 Fee token: ${FEE_TOKEN}`);
   console.log(`📄 MoniBotRouter: ${MONIBOT_ROUTER}`);
   console.log(`📄 MoniPayRouter: ${MONIPAY_ROUTER}`);
+  if (DRY_RUN) console.log('🧪 DRY_RUN enabled - transactions are simulated, never broadcast');
 
   // Check router's AlphaUSD balance (for grants)
   try {
@@ -111,118 +195,747 @@ export async function initBlockchain() {
   }
 
   // Check sponsor balance
+  const sponsor = await checkSponsorBalance({ force: true });
+  if (sponsor.balance !== null) console.log(`💵 Sponsor fee token balance: ${sponsor.balance}`);
+}
+
+function isSponsored() {
+  return sponsorAccount.address !== executorAccount.address;
+}
+
+/**
+ * Sponsor's fee token balance against SPONSOR_MIN_BALANCE, re-read at most once a minute
+ * @returns {{ address, feeToken, balance: string|null, minBalance: string, low: boolean, checkedAt: string }}
+ */
+export async function checkSponsorBalance({ force = false } = {}) {
+  if (!force && sponsorStatus && Date.now() - Date.parse(sponsorStatus.checkedAt) < SPONSOR_CHECK_TTL_MS) {
+    return sponsorStatus;
+  }
+
+  let balance = null;
   try {
-    const balance = await publicClient.readContract({
-      address: ALPHA_USD,
+    const raw = await publicClient.readContract({
+      address: FEE_TOKEN,
       abi: erc20Abi,
       functionName: 'balanceOf',
       args: [sponsorAccount.address],
     });
-    console.log(`💵 Sponsor αUSD: ${formatUnits(balance, DECIMALS)}`);
+    balance = formatUnits(raw, DECIMALS);
   } catch (e) {
     console.warn('⚠️ Could not read sponsor balance:', e.message);
   }
+
+  const low = balance === null || parseUnits(balance, DECIMALS) < parseUnits(SPONSOR_MIN_BALANCE, DECIMALS);
+  if (low && balance !== null) {
+    console.warn(`🚨 Sponsor balance ${balance} is below ${SPONSOR_MIN_BALANCE} - top up ${sponsorAccount.address}`);
+  }
+
+  sponsorStatus = {
+    address: sponsorAccount.address,
+    feeToken: FEE_TOKEN,
+    balance,
+    minBalance: SPONSOR_MIN_BALANCE,
+    low,
+    checkedAt: new Date().toISOString(),
+  };
+  return sponsorStatus;
 }
 
 /**
- * Execute a grant via MoniBotRouter contract
- * The contract handles fee splitting to treasury automatically.
+ * Simulate a contract write against the public client and size its gas.
+ * simArgs lets a pipelined call be checked with the args that are valid
+ * on-chain right now (e.g. the current router nonce) while the real args
+ * are sent. Reverts become SimulationError so callers can record them as
+ * skipped; RPC failures are rethrown untouched.
+ */
+async function preflight(params, simArgs = params.args) {
+  const simulation = { account: executorAccount, ...params, args: simArgs };
+  try {
+    await publicClient.simulateContract(simulation);
+    const gas = await publicClient.estimateContractGas(simulation);
+    return { ...params, gas: (gas * 120n) / 100n };
+  } catch (error) {
+    if (error?.walk?.(e => e instanceof ContractFunctionRevertedError)) {
+      throw new SimulationError(error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Hand out executor nonces locally so several txs can be in flight at once.
+ * Reset whenever a signed tx may not have reached the node.
  */
-export async function executeGrant(recipientAddress, amount, campaignId = '') {
-  const amountWei = parseUnits(amount.toString(), DECIMALS);
+async function takeExecutorNonce() {
+  if (executorNonce === null) {
+    executorNonce = await publicClient.getTransactionCount({
+      address: executorAccount.address,
+      blockTag: 'pending',
+    });
+  }
+  return executorNonce++;
+}
 
-  console.log(`📤 Executing grant of ${amount} αUSD to ${recipientAddress} via MoniBotRouter`);
+function resetExecutorNonce() {
+  executorNonce = null;
+}
 
-  const hash = await walletClient.writeContract({
-    address: MONIBOT_ROUTER,
-    abi: MONIBOT_ROUTER_ABI,
-    functionName: 'executeGrant',
-    args: [recipientAddress, amountWei, campaignId],
+/**
+ * Only broadcast while check() holds, e.g. while this instance holds the
+ * leader lease. A tx that fails it throws LEASE_LOST before it is signed,
+ * and a lost tx is not rebroadcast; the new leader's reconciler takes over.
+ */
+export function setBroadcastGuard(check) {
+  broadcastAllowed = check;
+}
+
+export function canBroadcast() {
+  return broadcastAllowed();
+}
+
+/**
+ * Register what part of the executor's balance is not its own to spend:
+ * reserved() resolves to { [symbol]: amount } (escrowed funds waiting for
+ * their recipient). Payouts from the executor's own funds only draw on the rest.
+ */
+export function setReservedFunds(reserved) {
+  reservedFunds = reserved;
+}
+
+/**
+ * Sign preflighted requests as one Tempo transaction, hand its hash to
+ * onSubmitted, then broadcast. Several requests become calls of the same
+ * transaction and succeed or revert together. The executor is the sender;
+ * the sponsor co-signs as fee payer and pays in FEE_TOKEN.
+ * The hash is known before the tx leaves the process, so callers can
+ * persist it first and never lose track of a payout.
+ */
+async function broadcast(requests, onSubmitted) {
+  const legs = [].concat(requests);
+  try {
+    const nonce = await takeExecutorNonce();
+    const { hash } = await signAndSend(
+      {
+        calls: legs.map(r => ({
+          to: r.address,
+          data: encodeFunctionData({ abi: r.abi, functionName: r.functionName, args: r.args }),
+        })),
+        gas: legs.reduce((sum, r) => sum + r.gas, 0n),
+        nonce,
+      },
+      onSubmitted
+    );
+    return hash;
+  } catch (error) {
+    resetExecutorNonce();
+    throw error;
+  }
+}
+
+/**
+ * Sign one executor transaction at a given nonce, hand { hash, rawTx } to
+ * onSubmitted, then send it. Fees are estimated unless given.
+ */
+async function signAndSend({ calls, gas, nonce, maxFeePerGas, maxPriorityFeePerGas }, onSubmitted) {
+  if (!broadcastAllowed()) throw new TxError('LEASE_LOST', 'Not broadcasting: this instance no longer holds the leader lease');
+  const prepared = await walletClient.prepareTransactionRequest({
+    account: executorAccount,
+    calls,
+    gas,
+    feeToken: FEE_TOKEN,
+    ...(isSponsored() && { feePayer: sponsorAccount }),
+    ...(maxFeePerGas && { maxFeePerGas, maxPriorityFeePerGas }),
+    // Stay on the protocol nonce lane (sponsored txs default to expiring nonces)
+    nonceKey: 0n,
+    nonce,
   });
+  const rawTx = await walletClient.signTransaction(prepared);
+  const hash = keccak256(rawTx);
 
-  // Wait for receipt
-  const receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: 60_000 });
+  if (onSubmitted) await onSubmitted({ hash, rawTx });
+
+  await walletClient.sendRawTransaction({ serializedTransaction: rawTx });
+  return { hash, rawTx };
+}
+
+function bumpFee(fee) {
+  return (fee * (100n + REPLACEMENT_FEE_BUMP_PCT) + 99n) / 100n;
+}
+
+/**
+ * Replace a stuck executor tx with one at the same nonce and higher fees:
+ * the same calls (speed-up), or a no-op call to the executor itself
+ * (cancel). Whichever of the two gets mined settles the nonce.
+ * onSubmitted({ hash, rawTx }) runs after signing, before broadcast.
+ * @returns {{ hash, rawTx }}
+ */
+export async function replaceStuckTx(rawTx, { cancel = false, onSubmitted } = {}) {
+  const stuck = Transaction.deserialize(rawTx);
+  if (stuck.from?.toLowerCase() !== executorAccount.address.toLowerCase()) {
+    throw new Error(`Cannot replace a tx sent by ${stuck.from}`);
+  }
+
+  const current = await publicClient.estimateFeesPerGas();
+  const maxFeePerGas = [bumpFee(stuck.maxFeePerGas), current.maxFeePerGas].reduce((a, b) => (a > b ? a : b));
+  const maxPriorityFeePerGas = [bumpFee(stuck.maxPriorityFeePerGas), current.maxPriorityFeePerGas].reduce((a, b) =>
+    a > b ? a : b
+  );
+
+  console.log(`${cancel ? '🚫 Cancelling' : '⏩ Speeding up'} tx at nonce ${stuck.nonce} (max fee ${maxFeePerGas})`);
+  const replacement = await signAndSend(
+    {
+      calls: cancel ? [{ to: executorAccount.address, data: '0x' }] : stuck.calls,
+      gas: cancel ? undefined : stuck.gas,
+      nonce: stuck.nonce,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+    },
+    onSubmitted
+  );
+
+  // A cancelled router P2P leaves its sender nonce unused; re-read it next time
+  if (cancel) p2pNonces.clear();
+  return replacement;
+}
+
+/**
+ * Resolve a tx whose hash was recorded before broadcast.
+ * If the node has never seen it, the same signed payload is rebroadcast;
+ * it can only ever be mined once. replacedHashes are earlier txs at the
+ * same nonce (before a speed-up or cancel); any of them may be the one mined.
+ * @returns {{ status: 'success'|'reverted'|'pending'|'dropped', hash?: string, receipt?: object }}
+ */
+export async function checkSubmittedTx(hash, rawTx, replacedHashes = []) {
+  const minedOne = async () => {
+    for (const candidate of [hash, ...replacedHashes]) {
+      const receipt = await publicClient.getTransactionReceipt({ hash: candidate }).catch(() => null);
+      if (receipt) return { status: receipt.status === 'success' ? 'success' : 'reverted', hash: candidate, receipt };
+    }
+    return null;
+  };
+
+  const mined = await minedOne();
+  if (mined) return mined;
 
-  const fee = (amountWei * BigInt(FEE_BPS)) / 10000n;
-  const netAmount = amountWei - fee;
+  if (rawTx && broadcastAllowed()) {
+    try {
+      await publicClient.sendRawTransaction({ serializedTransaction: rawTx });
+      console.log(`📡 Rebroadcast ${hash}`);
+    } catch (error) {
+      if (error?.walk?.(e => e instanceof NonceTooLowError)) {
+        // Nonce already used: either one of our txs just landed or another one took its slot
+        return (await minedOne()) || { status: 'dropped' };
+      }
+      // Already known to the node / mempool - keep waiting
+    }
+  }
+
+  try {
+    // Resolves with the replacement's receipt if another tx takes the nonce meanwhile
+    const receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: 30_000 });
+    return { status: receipt.status === 'success' ? 'success' : 'reverted', hash: receipt.transactionHash, receipt };
+  } catch {
+    return { status: 'pending' };
+  }
+}
+
+/**
+ * Fee quote for one call. MoniBotRouter always takes its fee, so an exempt
+ * router payout is quoted with a rebate the executor pays the recipient in
+ * the same tx. Payouts into escrow (the executor itself) get no rebate.
+ */
+function quoteCall(call, token, amountWei) {
+  const viaRouter = token.viaRouter && call.type !== 'release';
+  const intoEscrow = call.recipientAddress?.toLowerCase() === executorAccount.address.toLowerCase();
+  return quoteFee(call.type, amountWei, {
+    decimals: token.decimals,
+    payTags: viaRouter && intoEscrow ? [] : call.payTags,
+    viaRouter,
+  });
+}
+
+/**
+ * Build the result of a mined payout from its receipt. The fee is what the
+ * receipt shows going to the treasury, less any rebate to the recipient,
+ * checked against the policy quote.
+ * @param {{ type: 'grant'|'p2p'|'release', amount, recipientAddress, token?: string, payTags?: string[] }} call
+ */
+export function receiptResult(call, receipt) {
+  const token = resolveToken(call.token);
+  const amountWei = parseUnits(call.amount.toString(), token.decimals);
+  const { fee: expected, rebate } = quoteCall(call, token, amountWei);
+  const rebated = rebate > 0n ? rebateFromReceipt(receipt, token.address, executorAccount.address, call.recipientAddress) : 0n;
+  const fee = feeFromReceipt(receipt, token.address) - rebated;
 
-  console.log(`✅ Grant complete: ${hash} (block ${receipt.blockNumber})`);
   return {
-    txHash: hash,
-    amount: formatUnits(amountWei, DECIMALS),
-    fee: formatUnits(fee, DECIMALS),
-    netAmount: formatUnits(netAmount, DECIMALS),
+    txHash: receipt.transactionHash,
+    token: token.symbol,
+    amount: formatUnits(amountWei, token.decimals),
+    fee: formatUnits(fee, token.decimals),
+    netAmount: formatUnits(amountWei - fee, token.decimals),
     blockNumber: receipt.blockNumber.toString(),
+    ...checkFee(expected, fee, token.decimals, receipt.transactionHash),
+  };
+}
+
+function dryRunResult(token, amountWei, fee, extra = {}) {
+  return {
+    txHash: 'dryrun_' + Date.now(),
+    token: token.symbol,
+    amount: formatUnits(amountWei, token.decimals),
+    fee: formatUnits(fee, token.decimals),
+    netAmount: formatUnits(amountWei - fee, token.decimals),
+    expectedFee: formatUnits(fee, token.decimals),
+    feeMismatch: false,
+    blockNumber: null,
+    dryRun: true,
+    ...extra,
   };
 }
 
 /**
- * Execute a direct AlphaUSD transfer (fallback, used for P2P without contract)
+ * Preflighted token transfers for the net amount and the treasury fee.
+ * With from set, both legs pull from that sender via transferFrom.
  */
-export async function executeTransfer(recipientAddress, amount, memo = '') {
-  const amountWei = parseUnits(amount.toString(), DECIMALS);
-  const fee = (amountWei * BigInt(FEE_BPS)) / 10000n;
-  const netAmount = amountWei - fee;
+async function directLegs(token, { from, to, net, fee }) {
+  const transfer = (recipient, value) =>
+    preflight({
+      address: token.address,
+      abi: erc20Abi,
+      functionName: from ? 'transferFrom' : 'transfer',
+      args: from ? [from, recipient, value] : [recipient, value],
+    });
 
-  console.log(`📤 Sending ${formatUnits(netAmount, DECIMALS)} αUSD to ${recipientAddress}`);
-  console.log(`   Fee: ${formatUnits(fee, DECIMALS)} αUSD → Treasury`);
+  const legs = [await transfer(to, net)];
+  if (fee > 0n) legs.push(await transfer(TREASURY, fee));
+  return legs;
+}
 
-  // Transfer net amount to recipient
-  const hash1 = await walletClient.writeContract({
-    address: ALPHA_USD,
-    abi: erc20Abi,
-    functionName: 'transfer',
-    args: [recipientAddress, netAmount],
+/**
+ * Add the executor's fee rebate to a router call, as a second call of the
+ * same tx, so an exempt recipient gets the full amount or nothing is paid
+ */
+async function withRebate(request, token, recipient, rebate) {
+  if (rebate === 0n) return request;
+  console.log(`   Fee exempt: rebating ${formatUnits(rebate, token.decimals)} ${token.label} to ${recipient}`);
+  return [request, ...(await directLegs(token, { to: recipient, net: rebate, fee: 0n }))];
+}
+
+/**
+ * Resolve the next router nonce for a sender.
+ * The on-chain counter only moves once a tx is mined, so back-to-back sends
+ * from the same sender continue from the locally cached value.
+ * @returns {{ nonce: bigint, onChain: bigint }}
+ */
+async function nextP2PNonce(senderAddress) {
+  const key = senderAddress.toLowerCase();
+  const onChain = await publicClient.readContract({
+    address: MONIBOT_ROUTER,
+    abi: MONIBOT_ROUTER_ABI,
+    functionName: 'nonces',
+    args: [senderAddress],
   });
+  const cached = p2pNonces.get(key);
+  return { nonce: cached !== undefined && cached > onChain ? cached : onChain, onChain };
+}
 
-  // Transfer fee to treasury
-  if (fee > 0n) {
-    await walletClient.writeContract({
-      address: ALPHA_USD,
-      abi: erc20Abi,
-      functionName: 'transfer',
-      args: [TREASURY, fee],
-    });
+/**
+ * Preflight and broadcast one grant / P2P / escrow release call without waiting for it.
+ * AlphaUSD goes through MoniBotRouter; other tokens are sent as an atomic
+ * net + fee transfer pair (from the executor for grants, pulled from the
+ * sender's allowance to the executor for P2P).
+ */
+async function submitCall(call) {
+  const token = resolveToken(call.token);
+  const amountWei = parseUnits(call.amount.toString(), token.decimals);
+  const { fee, net, rebate } = quoteCall(call, token, amountWei);
+
+  if (call.type === 'grant') {
+    console.log(`📤 Executing grant of ${call.amount} ${token.label} to ${call.recipientAddress}${token.viaRouter ? ' via MoniBotRouter' : ''}`);
+
+    const request = token.viaRouter
+      ? await withRebate(
+          await preflight({
+            address: MONIBOT_ROUTER,
+            abi: MONIBOT_ROUTER_ABI,
+            functionName: 'executeGrant',
+            args: [call.recipientAddress, amountWei, call.campaignId || ''],
+          }),
+          token,
+          call.recipientAddress,
+          rebate
+        )
+      : await directLegs(token, { to: call.recipientAddress, net, fee });
+
+    if (DRY_RUN) {
+      console.log(`🧪 [DRY_RUN] Grant to ${call.recipientAddress} would succeed`);
+      return { call, dryRun: dryRunResult(token, amountWei, fee) };
+    }
+
+    return { call, hash: await broadcast(request, call.onSubmitted) };
   }
 
-  console.log(`✅ Transfer complete: ${hash1}`);
+  // Escrow claim / refund: a fee-free transfer out of the executor, which holds escrowed funds
+  if (call.type === 'release') {
+    console.log(`📤 Releasing ${call.amount} ${token.label} from escrow to ${call.recipientAddress}`);
+    const legs = await directLegs(token, { to: call.recipientAddress, net: amountWei, fee: 0n });
+
+    if (DRY_RUN) {
+      console.log(`🧪 [DRY_RUN] Release to ${call.recipientAddress} would succeed`);
+      return { call, dryRun: dryRunResult(token, amountWei, 0n) };
+    }
+    return { call, hash: await broadcast(legs, call.onSubmitted) };
+  }
+
+  if (call.type === 'p2p') {
+    if (!token.viaRouter) {
+      console.log(`📤 Executing P2P of ${call.amount} ${token.label} ${call.senderAddress} → ${call.recipientAddress}`);
+      const legs = await directLegs(token, { from: call.senderAddress, to: call.recipientAddress, net, fee });
+
+      if (DRY_RUN) {
+        console.log(`🧪 [DRY_RUN] P2P to ${call.recipientAddress} would succeed`);
+        return { call, dryRun: dryRunResult(token, amountWei, fee) };
+      }
+      return { call, hash: await broadcast(legs, call.onSubmitted) };
+    }
+
+    const senderKey = call.senderAddress.toLowerCase();
+    const { nonce, onChain } = await nextP2PNonce(call.senderAddress);
+
+    console.log(`📤 Executing P2P of ${call.amount} ${token.label} ${call.senderAddress} → ${call.recipientAddress} (nonce ${nonce})`);
+
+    try {
+      const request = await withRebate(
+        await preflight(
+          {
+            address: MONIBOT_ROUTER,
+            abi: MONIBOT_ROUTER_ABI,
+            functionName: 'executeP2P',
+            args: [call.senderAddress, call.recipientAddress, amountWei, nonce, call.tweetId],
+          },
+          [call.senderAddress, call.recipientAddress, amountWei, onChain, call.tweetId]
+        ),
+        token,
+        call.recipientAddress,
+        rebate
+      );
+
+      if (DRY_RUN) {
+        console.log(`🧪 [DRY_RUN] P2P to ${call.recipientAddress} would succeed`);
+        return { call, dryRun: dryRunResult(token, amountWei, fee, { nonce: nonce.toString() }) };
+      }
+
+      const hash = await broadcast(request, call.onSubmitted);
+      p2pNonces.set(senderKey, nonce + 1n);
+      return { call, nonce, hash };
+    } catch (error) {
+      // Cached nonce may have drifted from the contract; re-read next time
+      p2pNonces.delete(senderKey);
+      throw error;
+    }
+  }
+
+  throw new Error(`Unknown call type "${call.type}"`);
+}
+
+/**
+ * Log fields describing a payout call
+ */
+function payoutFields(call) {
+  return { type: call.type, token: resolveToken(call.token).symbol, amount: call.amount, recipient: call.recipientAddress };
+}
+
+/**
+ * Wait for a submitted call and build its result
+ */
+const CALL_LABELS = { grant: 'Grant', p2p: 'P2P', release: 'Escrow release' };
+
+async function settleCall(submitted) {
+  if (submitted.dryRun) return submitted.dryRun;
+
+  const { call, hash, nonce } = submitted;
+  const receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: 60_000 });
+
+  if (receipt.status !== 'success') {
+    if (call.type === 'p2p') p2pNonces.delete(call.senderAddress.toLowerCase());
+    throw new TxError('TX_REVERTED', `${CALL_LABELS[call.type]} transaction reverted: ${hash}`);
+  }
+
+  const result = receiptResult(call, receipt);
+  log.info('payout.confirmed', { ...payoutFields(call), tx_hash: hash, fee: result.fee, block: result.blockNumber });
   return {
-    txHash: hash1,
-    amount: formatUnits(amountWei, DECIMALS),
-    fee: formatUnits(fee, DECIMALS),
-    netAmount: formatUnits(netAmount, DECIMALS),
+    ...result,
+    ...(nonce !== undefined && { nonce: nonce.toString() }),
   };
 }
 
 /**
- * Execute batch grants via MoniBotRouter (multiple recipients)
+ * What a call takes out of the executor's own funds: a non-router grant or
+ * transfer in full, a router payout its fee rebate. Releases pay out funds
+ * already reserved for them, P2P comes from the sender.
+ */
+function executorOutlay(call, token, amountWei) {
+  if (call.type === 'transfer') return amountWei;
+  if (call.type === 'release' || (call.type === 'p2p' && !token.viaRouter)) return 0n;
+  if (!token.viaRouter) return amountWei;
+  return quoteCall(call, token, amountWei).rebate;
+}
+
+/**
+ * Check the executor can fund the batch without touching funds held for
+ * others: its balance in each token, less what is reserved, must cover
+ * every call paid from it together.
+ * @returns {Map<object, TxError>} calls that must not be submitted
+ */
+async function executorShortfalls(calls) {
+  const groups = new Map();
+  for (const call of calls) {
+    const token = resolveToken(call.token);
+    const outlay = executorOutlay(call, token, parseUnits(call.amount.toString(), token.decimals));
+    if (outlay === 0n) continue;
+    if (!groups.has(token.symbol)) groups.set(token.symbol, { token, calls: [], total: 0n });
+    const group = groups.get(token.symbol);
+    group.calls.push(call);
+    group.total += outlay;
+  }
+  if (!groups.size) return new Map();
+
+  const reserved = await reservedFunds();
+  const shortfalls = new Map();
+  for (const { token, calls: funded, total } of groups.values()) {
+    const held = parseUnits(Number(reserved[token.symbol] || 0).toFixed(token.decimals), token.decimals);
+    const balance = parseUnits(await getTokenBalance(executorAccount.address, token.symbol), token.decimals);
+    if (balance - held >= total) continue;
+    const error = new TxError(
+      'INSUFFICIENT_EXECUTOR_BALANCE',
+      `Executor ${token.label} ${formatUnits(balance, token.decimals)} less ${formatUnits(held, token.decimals)} held in escrow < ${formatUnits(total, token.decimals)}`
+    );
+    for (const call of funded) shortfalls.set(call, error);
+  }
+  return shortfalls;
+}
+
+/**
+ * Check each sender's allowance against everything the batch pulls from it.
+ * Legs are preflighted one by one against the same unmined state, so each
+ * would pass on its own while together they overdraw the allowance; a
+ * sender/token group that doesn't fit is rejected as a whole.
+ * @returns {Map<object, TxError>} calls that must not be submitted
+ */
+async function allowanceShortfalls(calls) {
+  const groups = new Map();
+  for (const call of calls) {
+    if (call.type !== 'p2p') continue;
+    const token = resolveToken(call.token);
+    const key = `${call.senderAddress.toLowerCase()}:${token.symbol}`;
+    if (!groups.has(key)) groups.set(key, { token, sender: call.senderAddress, calls: [], total: 0n });
+    const group = groups.get(key);
+    group.calls.push(call);
+    group.total += parseUnits(call.amount.toString(), token.decimals);
+  }
+
+  const shortfalls = new Map();
+  for (const { token, sender, calls: legs, total } of groups.values()) {
+    const allowance = parseUnits(await getSpendAllowance(sender, token.symbol), token.decimals);
+    if (allowance >= total) continue;
+    const error = new TxError(
+      'INSUFFICIENT_ALLOWANCE',
+      `Allowance ${formatUnits(allowance, token.decimals)} < ${formatUnits(total, token.decimals)} ${token.label}` +
+        (legs.length > 1 ? ` across ${legs.length} payments` : '')
+    );
+    for (const call of legs) shortfalls.set(call, error);
+  }
+  return shortfalls;
+}
+
+/**
+ * Execute several grant / P2P / escrow release calls together.
+ * Each call is preflighted and signed with the next executor nonce, all are
+ * broadcast back to back, then their receipts are awaited together, so N
+ * payouts confirm in about one block instead of N sequential waits.
+ *
+ * @param {Array<
+ *   { type: 'grant', recipientAddress, amount, campaignId, token?, payTags?, onSubmitted? } |
+ *   { type: 'p2p', senderAddress, recipientAddress, amount, tweetId, token?, payTags?, onSubmitted? } |
+ *   { type: 'release', recipientAddress, amount, token?, onSubmitted? }
+ * >} calls - token is a registry symbol, default token if omitted; a call's
+ *   logContext (see logger.js) is applied to the log lines it produces
+ * @returns Promise.allSettled-style outcomes, one per call, in order
  */
-export async function executeBatchGrants(recipients, campaignId = '') {
-  const results = [];
-  for (const r of recipients) {
+export async function executeBatch(calls) {
+  const shortfalls = new Map([...(await allowanceShortfalls(calls)), ...(await executorShortfalls(calls))]);
+  const submitted = [];
+  for (const call of calls) {
     try {
-      const result = await executeGrant(r.address, r.amount, campaignId);
-      results.push({ ...result, recipient: r.address, success: true });
+      if (shortfalls.has(call)) throw shortfalls.get(call);
+      const value = await withLogContext(call.logContext, () => submitCall(call));
+      if (value.hash) withLogContext(call.logContext, () => log.info('payout.submitted', { ...payoutFields(call), tx_hash: value.hash }));
+      submitted.push({ ok: true, value });
     } catch (error) {
-      console.error(`❌ Failed grant to ${r.address}:`, error.message);
-      results.push({ recipient: r.address, success: false, error: error.message });
+      withLogContext(call.logContext, () => log.warn('payout.failed', { ...payoutFields(call), error_code: decodeTxError(error).code }));
+      submitted.push({ ok: false, error });
     }
   }
-  return results;
+
+  if (calls.length > 1) console.log(`📦 Batch: ${submitted.filter(s => s.ok).length}/${calls.length} submitted, awaiting receipts`);
+
+  return Promise.all(
+    submitted.map(s =>
+      s.ok
+        ? withLogContext(s.value.call.logContext, () => settleCall(s.value)).then(
+            value => ({ status: 'fulfilled', value }),
+            reason => {
+              withLogContext(s.value.call.logContext, () =>
+                log.warn('payout.failed', { ...payoutFields(s.value.call), tx_hash: s.value.hash, error_code: decodeTxError(reason).code })
+              );
+              return { status: 'rejected', reason };
+            }
+          )
+        : { status: 'rejected', reason: s.error }
+    )
+  );
 }
 
-export async function getAlphaUsdBalance(address) {
+function unwrap([outcome]) {
+  if (outcome.status === 'rejected') throw outcome.reason;
+  return outcome.value;
+}
+
+/**
+ * Execute a grant via MoniBotRouter contract
+ * The contract handles fee splitting to treasury automatically.
+ * onSubmitted({ hash, rawTx }) runs after signing, before broadcast.
+ */
+export async function executeGrant(recipientAddress, amount, campaignId = '', { onSubmitted, token } = {}) {
+  return unwrap(await executeBatch([{ type: 'grant', recipientAddress, amount, campaignId, token, onSubmitted }]));
+}
+
+/**
+ * Execute a P2P payment via MoniBotRouter.
+ * Pulls the amount from the sender's allowance; the contract splits the fee
+ * to treasury and rejects a replayed tweetId.
+ * onSubmitted({ hash, rawTx }) runs after signing, before broadcast.
+ */
+export async function executeP2P(senderAddress, recipientAddress, amount, tweetId, { onSubmitted, token } = {}) {
+  return unwrap(await executeBatch([{ type: 'p2p', senderAddress, recipientAddress, amount, tweetId, token, onSubmitted }]));
+}
+
+/**
+ * Execute a direct token transfer from the executor (fallback, used for P2P without contract).
+ * The net amount and the treasury fee are two calls of one Tempo
+ * transaction, so the fee can't be lost to a failed or missing second tx.
+ * onSubmitted({ hash, rawTx }) runs after signing, before broadcast.
+ */
+export async function executeTransfer(recipientAddress, amount, { onSubmitted, token: tokenRef } = {}) {
+  const token = resolveToken(tokenRef);
+  const amountWei = parseUnits(amount.toString(), token.decimals);
+  const { fee, net: netAmount } = quoteFee('p2p', amountWei, { decimals: token.decimals });
+
+  console.log(`📤 Sending ${formatUnits(netAmount, token.decimals)} ${token.label} to ${recipientAddress}`);
+  console.log(`   Fee: ${formatUnits(fee, token.decimals)} ${token.label} → Treasury`);
+
+  const [shortfall] = (await executorShortfalls([{ type: 'transfer', amount, token: token.symbol }])).values();
+  if (shortfall) throw shortfall;
+
+  // Simulate both legs before sending either
+  const legs = await directLegs(token, { to: recipientAddress, net: netAmount, fee });
+
+  if (DRY_RUN) {
+    console.log(`🧪 [DRY_RUN] Transfer to ${recipientAddress} would succeed`);
+    return dryRunResult(token, amountWei, fee);
+  }
+
+  const hash = await broadcast(legs, onSubmitted);
+
+  const receipt = await publicClient.waitForTransactionReceipt({ hash, timeout: 60_000 });
+  if (receipt.status !== 'success') {
+    throw new TxError('TX_REVERTED', `Transfer reverted, neither leg applied: ${hash}`);
+  }
+
+  // Both legs landed in the same tx; report the fee the receipt shows
+  log.info('payout.confirmed', { type: 'transfer', token: token.symbol, amount, recipient: recipientAddress, tx_hash: hash, block: receipt.blockNumber });
+  return receiptResult({ type: 'p2p', amount, token: token.symbol }, receipt);
+}
+
+/**
+ * Read how much of a token the owner has approved the worker to pull:
+ * MoniBotRouter for router tokens, the executor for the rest
+ */
+export async function getSpendAllowance(ownerAddress, tokenRef) {
+  const token = resolveToken(tokenRef);
+  try {
+    const allowance = await publicClient.readContract({
+      address: token.address,
+      abi: erc20Abi,
+      functionName: 'allowance',
+      args: [ownerAddress, token.viaRouter ? MONIBOT_ROUTER : executorAccount.address],
+    });
+    return formatUnits(allowance, token.decimals);
+  } catch {
+    return '0';
+  }
+}
+
+/**
+ * Execute batch grants (multiple recipients), confirmed together
+ */
+export async function executeBatchGrants(recipients, campaignId = '', token) {
+  const outcomes = await executeBatch(
+    recipients.map(r => ({ type: 'grant', recipientAddress: r.address, amount: r.amount, campaignId, token }))
+  );
+
+  return outcomes.map((outcome, i) => {
+    const recipient = recipients[i].address;
+    if (outcome.status === 'fulfilled') return { ...outcome.value, recipient, success: true };
+
+    const decoded = decodeTxError(outcome.reason);
+    return { recipient, success: false, error: decoded.message, errorCode: decoded.code };
+  });
+}
+
+export async function getTokenBalance(address, tokenRef) {
+  const token = resolveToken(tokenRef);
   try {
     const balance = await publicClient.readContract({
-      address: ALPHA_USD,
+      address: token.address,
       abi: erc20Abi,
       functionName: 'balanceOf',
       args: [address],
     });
-    return formatUnits(balance, DECIMALS);
+    return formatUnits(balance, token.decimals);
   } catch {
     return '0';
   }
 }
 
-export { ALPHA_USD, DECIMALS, TREASURY, MONIBOT_ROUTER, MONIPAY_ROUTER, publicClient, executorAccount };
+/**
+ * AlphaUSD balance, as getTokenBalance for the default token
+ */
+export async function getAlphaUsdBalance(address) {
+  return getTokenBalance(address, 'AlphaUSD');
+}
+
+/**
+ * Balances an operator needs to watch: the executor in every registry
+ * token, the sponsor's fee token, and MoniBotRouter's grant pool
+ */
+export async function getOperatorBalances() {
+  const tokens = listTokens();
+  const executorBalances = {};
+  for (const token of tokens) {
+    executorBalances[token.symbol] = await getTokenBalance(executorAccount.address, token.symbol);
+  }
+
+  const routerToken = tokens.find(t => t.viaRouter);
+  return {
+    executor: { address: executorAccount.address, balances: executorBalances },
+    sponsor: await checkSponsorBalance({ force: true }),
+    router: routerToken && {
+      address: MONIBOT_ROUTER,
+      token: routerToken.symbol,
+      balance: await getTokenBalance(MONIBOT_ROUTER, routerToken.symbol),
+    },
+  };
+}
+
+export { TEMPO_CHAIN, ALPHA_USD, DECIMALS, FEE_TOKEN, TREASURY, MONIBOT_ROUTER, MONIPAY_ROUTER, DRY_RUN, publicClient, executorAccount };
@@ -0,0 +1,438 @@
+/**
+ * Tempo Worker P2P Confirmations
+ *
+ * A P2P command above the confirmation threshold (see limits.js), or paying
+ * a recipient the sender has never paid before, is held in
+ * monibot_pending_commands instead of being sent. The bot replies asking
+ * the sender to confirm, by replying "confirm" (or "cancel"), or through
+ * the signed confirm_url the MoniPay app shows them. A confirmed command
+ * runs through processP2PCommand like a new tweet; one not confirmed
+ * within CONFIRM_EXPIRY_MS is cancelled and the sender is told.
+ *
+ * pending → confirmed → executed, or pending → cancelled | expired. A
+ * confirmed command that errors MAX_RUN_ATTEMPTS times in a row ends as
+ * failed, and the sender is told nothing was sent.
+ */
+
+import express from 'express';
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { getTwitterClient } from './twitter.js';
+import { DRY_RUN } from './blockchain.js';
+import { getCursor, saveCursor } from './cursors.js';
+import { postStandaloneReply } from './replies.js';
+import { processP2PCommand } from './p2p.js';
+import { handlePattern } from './parser.js';
+import { timeTwitter } from './metrics.js';
+import { insertTransaction } from './transactions.js';
+import { withLogContext } from './logger.js';
+
+const CONFIRM_EXPIRY_MS = parseInt(process.env.CONFIRM_EXPIRY_MS || String(30 * 60 * 1000), 10);
+const CONFIRM_NEW_RECIPIENTS = process.env.P2P_CONFIRM_NEW_RECIPIENTS !== 'false';
+const CONFIRM_LINK_SECRET = process.env.CONFIRM_LINK_SECRET;
+const CONFIRM_LINK_BASE_URL = (process.env.CONFIRM_LINK_BASE_URL || '').replace(/\/$/, '');
+const MAX_PROMPT_ATTEMPTS = 3;
+const MAX_RUN_ATTEMPTS = 3;
+// Search pages of confirm / cancel replies read per cycle; the rest wait for the next one
+const CONFIRM_MAX_PAGES = 5;
+
+const CONFIRM_CURSOR_KEY = 'confirm';
+
+let supabase = null;
+
+export function initConfirmations(supabaseClient) {
+  supabase = supabaseClient;
+  console.log(`✅ P2P confirmations initialized (expiry ${CONFIRM_EXPIRY_MS / 60000}min, links ${CONFIRM_LINK_SECRET && CONFIRM_LINK_BASE_URL ? 'on' : 'off'})`);
+}
+
+// ============ Holding Commands ============
+
+/**
+ * Pay tags among the command's recipients the sender has no completed or escrowed payment to
+ */
+async function firstTimeRecipients(senderProfile, parsed) {
+  const tags = parsed.recipients.map(r => r.tag);
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('pay_tag, x_username')
+    .or(tags.flatMap(tag => [`pay_tag.ilike.${handlePattern(tag)}`, `x_username.ilike.${handlePattern(tag)}`]).join(','));
+
+  // A recipient's rows carry their pay tag, which may differ from the handle used
+  const payTagOf = tag =>
+    profiles?.find(p => [p.pay_tag, p.x_username].some(v => v?.toLowerCase() === tag.toLowerCase()))?.pay_tag || tag;
+
+  const { data: paid } = await supabase
+    .from('monibot_transactions')
+    .select('recipient_pay_tag')
+    .eq('sender_id', senderProfile.id)
+    .eq('type', 'p2p_command')
+    .in('status', ['completed', 'escrowed'])
+    .in('recipient_pay_tag', tags.map(payTagOf));
+  const known = new Set((paid || []).map(row => row.recipient_pay_tag.toLowerCase()));
+
+  return tags.filter(tag => !known.has(payTagOf(tag).toLowerCase()));
+}
+
+/**
+ * Why this command needs the sender's confirmation
+ * @param {object} limitDecision - from limits.evaluateSpendingLimits (carries confirm)
+ * @returns {Promise<string[]>} empty when it can run now
+ */
+export async function confirmationReasons(senderProfile, parsed, limitDecision) {
+  const reasons = [];
+  if (limitDecision.confirm) reasons.push(limitDecision.confirm);
+  if (CONFIRM_NEW_RECIPIENTS) {
+    const fresh = await firstTimeRecipients(senderProfile, parsed);
+    if (fresh.length) reasons.push(`first payment to ${fresh.map(tag => '@' + tag).join(', ')}`);
+  }
+  return reasons;
+}
+
+function signature(id, expiresAt) {
+  return createHmac('sha256', CONFIRM_LINK_SECRET).update(`${id}:${Date.parse(expiresAt)}`).digest('base64url');
+}
+
+function confirmUrl(id, expiresAt) {
+  if (!CONFIRM_LINK_SECRET || !CONFIRM_LINK_BASE_URL) return null;
+  return `${CONFIRM_LINK_BASE_URL}/confirm/${id}?sig=${signature(id, expiresAt)}`;
+}
+
+/**
+ * Hold a command until the sender confirms it, and ask them to.
+ * In DRY_RUN nothing is held; the command is recorded as simulated.
+ */
+export async function holdForConfirmation({ tweet, author, senderProfile, parsed, token, reasons, limitDecision }) {
+  const recipientTags = parsed.recipients.map(r => r.tag);
+  const summary = parsed.recipients.map(r => `${r.amount} ${token.label} to @${r.tag}`).join(', ');
+  console.log(`   🔐 Holding for confirmation: ${reasons.join('; ')}`);
+
+  if (DRY_RUN) {
+    await insertTransaction({
+      tweet_id: tweet.id,
+      chain: 'tempo',
+      tx_hash: 'CONFIRMATION_REQUIRED',
+      sender_id: senderProfile.id,
+      receiver_id: senderProfile.id,
+      amount: parsed.total,
+      token: token.symbol,
+      fee: 0,
+      type: 'p2p_command',
+      status: 'simulated',
+      payer_pay_tag: senderProfile.pay_tag,
+      recipient_pay_tag: recipientTags.join(','),
+      error_code: 'CONFIRMATION_REQUIRED',
+      error_reason: reasons.join('; '),
+      limit_decision: limitDecision,
+      replied: false,
+    });
+    return;
+  }
+
+  const id = randomUUID();
+  const expiresAt = new Date(Date.now() + CONFIRM_EXPIRY_MS).toISOString();
+  const { data: held, error } = await supabase
+    .from('monibot_pending_commands')
+    .upsert(
+      {
+        id,
+        tweet_id: tweet.id,
+        tweet_text: tweet.text,
+        author_id: author.id,
+        author_username: author.username,
+        sender_id: senderProfile.id,
+        payer_pay_tag: senderProfile.pay_tag,
+        recipient_pay_tag: recipientTags.join(','),
+        amount: parsed.total,
+        token: token.symbol,
+        summary,
+        reasons,
+        confirm_url: confirmUrl(id, expiresAt),
+        status: 'pending',
+        expires_at: expiresAt,
+      },
+      { onConflict: 'tweet_id', ignoreDuplicates: true }
+    )
+    .select('*');
+  if (error) throw error;
+
+  // Already held by an earlier pass over the same tweet
+  if (!held?.length || held[0].id !== id) return;
+  await sendPrompt(held[0]);
+}
+
+async function sendPrompt(pending) {
+  const minutes = Math.max(1, Math.round((Date.parse(pending.expires_at) - Date.now()) / 60000));
+  const text =
+    `🔐 Confirm: send ${pending.summary}? Reply "confirm" within ${minutes} min, or "cancel".\n` +
+    `Asked because: ${pending.reasons.join('; ')}.`;
+
+  const { outcome, replyId } = await postStandaloneReply(pending.tweet_id, text.length > 280 ? text.slice(0, 279) + '…' : text);
+  if (outcome === 'rate_limited') return;
+
+  await supabase
+    .from('monibot_pending_commands')
+    .update(
+      outcome === 'posted'
+        ? { prompt_tweet_id: replyId || null, prompt_attempts: (pending.prompt_attempts || 0) + 1 }
+        : { prompt_attempts: (pending.prompt_attempts || 0) + 1 }
+    )
+    .eq('id', pending.id);
+}
+
+// ============ Resolving Commands ============
+
+/**
+ * Move a pending command on; the status guard makes reply, link and expiry race safely
+ * @returns the updated row, or null if it was no longer pending
+ */
+async function resolvePending(id, fields) {
+  const { data, error } = await supabase
+    .from('monibot_pending_commands')
+    .update({ ...fields, resolved_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .select('*');
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// The reply notifier tells the sender why nothing was sent
+async function recordUnconfirmed(pending, code, reason) {
+  await insertTransaction({
+    tweet_id: pending.tweet_id,
+    chain: 'tempo',
+    tx_hash: code,
+    sender_id: pending.sender_id,
+    receiver_id: pending.sender_id,
+    amount: pending.amount,
+    token: pending.token,
+    fee: 0,
+    type: 'p2p_command',
+    status: 'skipped',
+    payer_pay_tag: pending.payer_pay_tag,
+    recipient_pay_tag: pending.recipient_pay_tag,
+    error_code: code,
+    error_reason: reason,
+    replied: false,
+  });
+}
+
+/**
+ * Read "confirm" / "cancel" replies from the senders of pending commands.
+ * Pages like the campaign search: the cursor keeps next_token while a
+ * backlog is part-read, and only moves since_id once it is drained.
+ */
+async function readConfirmationReplies(pending) {
+  const twitter = getTwitterClient();
+  if (!twitter) return;
+
+  const cursor = await getCursor(CONFIRM_CURSOR_KEY);
+  let nextToken = cursor.nextToken;
+  let newestId = cursor.newestId;
+  let pages = 0;
+
+  do {
+    const result = await timeTwitter('search_confirm', () =>
+      twitter.v2.search({
+        query: '@monibot (confirm OR cancel) is:reply -is:retweet',
+        max_results: 100,
+        'tweet.fields': ['author_id', 'referenced_tweets'],
+        ...(cursor.sinceId && { since_id: cursor.sinceId }),
+        ...(nextToken && { next_token: nextToken }),
+      })
+    );
+    pages++;
+
+    const page = result?.data;
+    newestId = newestId || page?.meta?.newest_id || null;
+    nextToken = page?.meta?.next_token || null;
+
+    for (const reply of page?.data || []) await applyConfirmationReply(pending, reply);
+
+    await saveCursor(
+      CONFIRM_CURSOR_KEY,
+      nextToken ? { sinceId: cursor.sinceId, nextToken, newestId } : { sinceId: newestId || cursor.sinceId }
+    );
+  } while (nextToken && pages < CONFIRM_MAX_PAGES);
+}
+
+/**
+ * Resolve the pending command a confirm / cancel reply answers, if any
+ */
+async function applyConfirmationReply(pending, reply) {
+  const parentIds = (reply.referenced_tweets || []).filter(r => r.type === 'replied_to').map(r => r.id);
+  const command = pending.find(
+    p => p.status === 'pending' && p.author_id === reply.author_id && parentIds.some(id => id === p.tweet_id || id === p.prompt_tweet_id)
+  );
+  if (!command) return;
+
+  const words = reply.text.toLowerCase();
+  const cancel = /\bcancel\b/.test(words);
+  if (!cancel && !/\bconfirm\b/.test(words)) return;
+
+  await withLogContext({ correlation_id: command.tweet_id }, async () => {
+    if (cancel) {
+      const row = await resolvePending(command.id, { status: 'cancelled' });
+      if (row) await recordUnconfirmed(row, 'CONFIRMATION_CANCELLED', `Cancelled by @${command.author_username} in ${reply.id}`);
+      console.log(`   🚫 @${command.author_username} cancelled ${command.tweet_id}`);
+    } else {
+      await resolvePending(command.id, { status: 'confirmed', confirmed_via: 'reply' });
+      console.log(`   ✅ @${command.author_username} confirmed ${command.tweet_id} by reply`);
+    }
+    command.status = cancel ? 'cancelled' : 'confirmed';
+  });
+}
+
+/**
+ * One pass per cycle: post missing prompts, read confirm / cancel replies,
+ * expire what ran out of time, then run confirmed commands
+ * @returns number of confirmed commands that paid at least one recipient
+ */
+export async function processConfirmations() {
+  if (DRY_RUN || !supabase) return 0;
+
+  const { data: open, error } = await supabase
+    .from('monibot_pending_commands')
+    .select('*')
+    .in('status', ['pending', 'confirmed'])
+    .order('created_at', { ascending: true });
+  if (error) {
+    console.error('❌ Could not load pending confirmations:', error.message);
+    return 0;
+  }
+  if (!open?.length) return 0;
+
+  const pending = open.filter(p => p.status === 'pending');
+  try {
+    if (pending.length) await readConfirmationReplies(pending);
+  } catch (err) {
+    console.error('❌ Error reading confirmation replies:', err.message);
+  }
+
+  for (const command of pending) {
+    if (command.status !== 'pending') continue;
+    await withLogContext({ correlation_id: command.tweet_id }, async () => {
+      if (Date.parse(command.expires_at) <= Date.now()) {
+        const row = await resolvePending(command.id, { status: 'expired' });
+        if (row) await recordUnconfirmed(row, 'CONFIRMATION_EXPIRED', `Not confirmed by ${command.expires_at}`);
+        console.log(`   ⌛ ${command.tweet_id}: confirmation expired`);
+      } else if (!command.prompt_tweet_id && (command.prompt_attempts || 0) < MAX_PROMPT_ATTEMPTS) {
+        await sendPrompt(command);
+      }
+    });
+  }
+
+  // Confirmed by reply above, by link, or left over from an interrupted run
+  const { data: confirmed } = await supabase
+    .from('monibot_pending_commands')
+    .select('*')
+    .eq('status', 'confirmed');
+
+  let processed = 0;
+  for (const command of confirmed || []) {
+    await withLogContext({ correlation_id: command.tweet_id }, async () => {
+      try {
+        const tweet = { id: command.tweet_id, text: command.tweet_text };
+        const author = { id: command.author_id, username: command.author_username };
+        if (await processP2PCommand(tweet, author, { confirmed: true })) processed++;
+        await supabase
+          .from('monibot_pending_commands')
+          .update({ status: 'executed' })
+          .eq('id', command.id)
+          .eq('status', 'confirmed');
+      } catch (err) {
+        await recordRunError(command, err);
+      }
+    });
+  }
+
+  return processed;
+}
+
+/**
+ * Count a failed run of a confirmed command; at MAX_RUN_ATTEMPTS it is marked
+ * failed instead of being retried every cycle forever
+ */
+async function recordRunError(command, err) {
+  const attempts = (command.run_attempts || 0) + 1;
+  console.error(`❌ Error running confirmed command ${command.tweet_id} (attempt ${attempts}/${MAX_RUN_ATTEMPTS}):`, err.message);
+
+  const giveUp = attempts >= MAX_RUN_ATTEMPTS;
+  const { data } = await supabase
+    .from('monibot_pending_commands')
+    .update({ run_attempts: attempts, ...(giveUp && { status: 'failed' }) })
+    .eq('id', command.id)
+    .eq('status', 'confirmed')
+    .select('id');
+  if (!giveUp || !data?.length) return;
+
+  // Legs already recorded get their own reply; otherwise tell the sender nothing was sent
+  const { data: rows } = await supabase
+    .from('monibot_transactions')
+    .select('id')
+    .eq('tweet_id', command.tweet_id)
+    .limit(1);
+  if (!rows?.length) await recordUnconfirmed(command, 'UNKNOWN', `Confirmed, but failed to run ${attempts} times: ${err.message}`);
+  console.error(`❌ Confirmed command ${command.tweet_id} marked failed`);
+}
+
+// ============ Signed Links ============
+
+/**
+ * Confirm a pending command from its signed link
+ * @returns {Promise<'confirmed' | 'invalid' | 'expired' | 'resolved'>}
+ */
+async function confirmByLink(id, sig) {
+  const { data: command } = await supabase
+    .from('monibot_pending_commands')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  if (!command) return 'invalid';
+
+  const expected = Buffer.from(signature(command.id, command.expires_at));
+  const given = Buffer.from(String(sig || ''));
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return 'invalid';
+  if (command.status !== 'pending') return 'resolved';
+  if (Date.parse(command.expires_at) <= Date.now()) return 'expired';
+
+  const row = await resolvePending(command.id, { status: 'confirmed', confirmed_via: 'link' });
+  if (!row) return 'resolved';
+  console.log(`   ✅ ${command.tweet_id} confirmed by link`);
+  return 'confirmed';
+}
+
+const LINK_MESSAGES = {
+  confirmed: 'Confirmed. The payment will be sent within a minute.',
+  invalid: 'This confirmation link is not valid.',
+  expired: 'This confirmation link has expired; the payment was not sent.',
+  resolved: 'This payment was already confirmed or cancelled.',
+};
+
+/**
+ * @returns the /confirm router, or null when links are not configured.
+ * GET shows a button and POST confirms, so link previews can't confirm.
+ */
+export function createConfirmRouter() {
+  if (!CONFIRM_LINK_SECRET || !CONFIRM_LINK_BASE_URL) return null;
+
+  const router = express.Router();
+
+  router.get('/:id', (req, res) => {
+    const action = `${req.baseUrl}/${encodeURIComponent(req.params.id)}?sig=${encodeURIComponent(req.query.sig || '')}`;
+    res.type('html').send(
+      `<!doctype html><title>Confirm payment</title><form method="post" action="${action}">` +
+      '<p>Confirm this MoniBot payment?</p><button type="submit">Confirm</button></form>'
+    );
+  });
+
+  router.post('/:id', (req, res) => {
+    confirmByLink(req.params.id, req.query.sig)
+      .then(result => res.status(result === 'confirmed' ? 200 : result === 'invalid' ? 404 : 409).type('text').send(LINK_MESSAGES[result]))
+      .catch(err => {
+        console.error('❌ Confirm link error:', err.message);
+        res.status(500).type('text').send('Something went wrong, please try again.');
+      });
+  });
+
+  return router;
+}
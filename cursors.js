@@ -0,0 +1,86 @@
+/**
+ * Tempo Worker Search Cursors
+ *
+ * Persists Twitter search cursors in Supabase so restarts resume where the
+ * last run stopped instead of re-scanning old tweets.
+ * Keys: "p2p" for the command search, "confirm" for confirmation replies,
+ * "query" for read-only commands, "campaign:<id>" per campaign.
+ *
+ * A cursor is { sinceId, nextToken, newestId }. nextToken/newestId are only
+ * set while a paginated backlog is part-way read: paging continues from
+ * nextToken under the old sinceId, and newestId becomes the new sinceId
+ * once the backlog is drained.
+ */
+
+import { DRY_RUN } from './blockchain.js';
+
+let supabase = null;
+
+export function initCursors(supabaseClient) {
+  supabase = supabaseClient;
+  console.log('✅ Search cursors initialized');
+}
+
+export function campaignCursorKey(campaignId) {
+  return `campaign:${campaignId}`;
+}
+
+/**
+ * @returns {{ sinceId: string|null, nextToken: string|null, newestId: string|null }}
+ *          all null to search from scratch
+ */
+export async function getCursor(key) {
+  const empty = { sinceId: null, nextToken: null, newestId: null };
+  const { data, error } = await supabase
+    .from('monibot_cursors')
+    .select('since_id, next_token, newest_id')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) {
+    console.warn(`⚠️ Could not read cursor ${key}:`, error.message);
+    return empty;
+  }
+  if (!data) return empty;
+  return { sinceId: data.since_id, nextToken: data.next_token, newestId: data.newest_id };
+}
+
+export async function saveCursor(key, { sinceId = null, nextToken = null, newestId = null }) {
+  // A dry run must not move live mode past tweets it never paid
+  if (DRY_RUN || (!sinceId && !nextToken)) return;
+  const { error } = await supabase
+    .from('monibot_cursors')
+    .upsert(
+      { key, since_id: sinceId, next_token: nextToken, newest_id: newestId, updated_at: new Date().toISOString() },
+      { onConflict: 'key' }
+    );
+
+  if (error) console.warn(`⚠️ Could not save cursor ${key}:`, error.message);
+}
+
+/**
+ * Admin reset: forget stored cursors so the next poll searches from scratch.
+ * Already-processed tweets are still skipped by the monibot_transactions check.
+ * @param {string[]|'all'} keys
+ */
+export async function resetCursors(keys) {
+  let query = supabase.from('monibot_cursors').delete();
+  query = keys === 'all' ? query.neq('key', '') : query.in('key', keys);
+
+  const { error } = await query;
+  if (error) throw error;
+  console.log(`🔁 Reset search cursors: ${keys === 'all' ? 'all' : keys.join(', ')}`);
+}
+
+/**
+ * Where the cursor may move after a batch: the newest tweet, or just short of
+ * the oldest one that failed so it is searched again. Tweets handled in the
+ * meantime are skipped by the already-processed check.
+ * @returns the new since_id, or null to keep the current one
+ */
+export function cursorAfter(tweets, failedIds, newestId) {
+  if (!failedIds.length) return newestId;
+  const oldestFailed = failedIds.map(BigInt).reduce((a, b) => (b < a ? b : a));
+  const older = tweets.map(t => BigInt(t.id)).filter(id => id < oldestFailed);
+  return older.length ? older.reduce((a, b) => (b > a ? b : a)).toString() : null;
+}
@@ -5,13 +5,40 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { executeGrant, executeTransfer } from './blockchain.js';
+import { DRY_RUN } from './blockchain.js';
 import { getTwitterClient } from './twitter.js';
+import { enqueueJob, runJobs, runJob, registerJobHandler } from './jobs.js';
+import { getCursor, saveCursor, campaignCursorKey } from './cursors.js';
+import { evaluateEligibility } from './eligibility.js';
+import { handlePattern } from './parser.js';
+import { TxError } from './errors.js';
+import { resolveToken, tokenLabel } from './tokens.js';
+import { timeTwitter } from './metrics.js';
+import { insertTransaction } from './transactions.js';
+import { withLogContext } from './logger.js';
+import { ESCROW_ENABLED, escrowAddress, hasEscrowedGrant, openEscrow } from './escrow.js';
 
 let supabase = null;
 const MONIBOT_PROFILE_ID = process.env.MONIBOT_PROFILE_ID;
 
-export function initSupabase() {
+// Max reply pages fetched per cycle across all campaigns (100 replies each)
+const CAMPAIGN_PAGE_BUDGET = parseInt(process.env.CAMPAIGN_PAGE_BUDGET || '10', 10);
+let campaignRotation = 0;
+
+// Grants broadcast together and confirmed as one batch
+const GRANT_BATCH_SIZE = parseInt(process.env.GRANT_BATCH_SIZE || '20', 10);
+
+/**
+ * @param {object} [client] - ready-made Supabase client (e.g. an in-memory stand-in);
+ *   built from SUPABASE_URL / SUPABASE_SERVICE_KEY when omitted
+ */
+export function initSupabase(client) {
+  if (client) {
+    supabase = client;
+    console.log('✅ Supabase initialized (injected client)');
+    return;
+  }
+
   const url = process.env.SUPABASE_URL;
   const key = process.env.SUPABASE_SERVICE_KEY;
 
@@ -47,119 +74,39 @@ export async function processCampaignQueue() {
     }
     console.log(`   Found ${campaigns.length} active Tempo campaign(s).`);
 
-    for (const campaign of campaigns) {
+    const twitter = getTwitterClient();
+    if (!twitter) return 0;
+
+    // Rotate the starting campaign so a tight page budget still reaches everyone
+    const start = campaignRotation++ % campaigns.length;
+    const ordered = [...campaigns.slice(start), ...campaigns.slice(0, start)];
+    let pagesLeft = CAMPAIGN_PAGE_BUDGET;
+
+    for (const [i, campaign] of ordered.entries()) {
+      if (pagesLeft <= 0) {
+        console.log(`   ⏸️ Page budget spent, ${ordered.length - i} campaign(s) wait for next cycle`);
+        break;
+      }
+
+      // Fair share of what is left; pages a quiet campaign doesn't use flow on
+      const share = Math.max(1, Math.floor(pagesLeft / (ordered.length - i)));
+
       try {
-        // Get replies to campaign tweet
-        const twitter = getTwitterClient();
-        if (!twitter) continue;
-
-        const replies = await twitter.v2.search(
-          `conversation_id:${campaign.tweet_id} is:reply`,
-          {
-            expansions: ['author_id'],
-            'user.fields': ['username'],
-            max_results: 100,
-          }
-        );
-
-        if (!replies?.data?.data?.length) continue;
-
-        const users = replies?.data?.includes?.users || [];
-
-        for (const reply of replies.data.data) {
-          // Check if already processed
-          const { data: existing } = await supabase
-            .from('monibot_transactions')
-            .select('id')
-            .eq('tweet_id', reply.id)
-            .limit(1);
-
-          if (existing?.length) continue;
-
-          // Check campaign limits
-          if (campaign.max_participants && campaign.current_participants >= campaign.max_participants) {
-            console.log(`⚠️ Campaign ${campaign.id} at capacity`);
-            break;
-          }
-
-          // Resolve user's wallet
-          const author = users.find(u => u.id === reply.author_id);
-          if (!author) continue;
-
-          const { data: profile } = await supabase
-            .from('profiles')
-            .select('id, wallet_address, tempo_address, pay_tag')
-            .eq('x_username', author.username)
-            .maybeSingle();
-
-          if (!profile) {
-            // Log skip
-            await supabase.from('monibot_transactions').insert({
-              tweet_id: reply.id,
-              chain: 'tempo',
-              tx_hash: 'skip_no_profile_' + Date.now(),
-              sender_id: MONIBOT_PROFILE_ID,
-              receiver_id: MONIBOT_PROFILE_ID,
-              amount: 0,
-              fee: 0,
-              type: 'grant',
-              status: 'skipped',
-              error_reason: `No profile for @${author.username}`,
-              payer_pay_tag: 'MoniBot',
-              recipient_pay_tag: author.username,
-            });
-            continue;
-          }
-
-          const recipientAddress = profile.tempo_address || profile.wallet_address;
-
-          try {
-            const result = await executeGrant(recipientAddress, campaign.grant_amount, campaign.id);
-
-            await supabase.from('monibot_transactions').insert({
-              tweet_id: reply.id,
-              chain: 'tempo',
-              tx_hash: result.txHash,
-              sender_id: MONIBOT_PROFILE_ID,
-              receiver_id: profile.id,
-              recipient_pay_tag: profile.pay_tag,
-              payer_pay_tag: 'MoniBot',
-              amount: campaign.grant_amount,
-              fee: parseFloat(result.fee),
-              type: 'grant',
-              status: 'completed',
-              campaign_id: campaign.id,
-              replied: false,
-            });
-
-            // Update campaign
-            await supabase
-              .from('campaigns')
-              .update({
-                current_participants: (campaign.current_participants || 0) + 1,
-                budget_spent: (campaign.budget_spent || 0) + campaign.grant_amount,
-              })
-              .eq('id', campaign.id);
-
-            processed++;
-            console.log(`✅ Grant to @${author.username} (${profile.pay_tag}): ${result.txHash}`);
-          } catch (txError) {
-            console.error(`❌ Grant failed for @${author.username}:`, txError.message);
-            await supabase.from('monibot_transactions').insert({
-              tweet_id: reply.id,
-              chain: 'tempo',
-              tx_hash: 'failed_' + Date.now(),
-              sender_id: MONIBOT_PROFILE_ID,
-              receiver_id: profile.id,
-              payer_pay_tag: 'MoniBot',
-              recipient_pay_tag: profile.pay_tag,
-              amount: campaign.grant_amount,
-              fee: 0,
-              type: 'grant',
-              status: 'failed',
-              error_reason: txError.message,
-            });
-          }
+        // Throws for a token missing from the registry; the campaign waits until it's fixed
+        resolveToken(campaign.token);
+
+        const endReason = campaignEndReason(campaign);
+        if (endReason) {
+          await completeCampaign(campaign, endReason);
+          continue;
+        }
+
+        const result = await pollCampaignReplies(twitter, campaign, share);
+        processed += result.processed;
+        pagesLeft -= result.pages;
+
+        if (result.ended) {
+          await completeCampaign(campaign, campaignEndReason(campaign) || 'closed');
         }
       } catch (campaignError) {
         console.error(`❌ Campaign ${campaign.id} error:`, campaignError.message);
@@ -172,6 +119,476 @@ export async function processCampaignQueue() {
   return processed;
 }
 
+/**
+ * Page through a campaign's replies, newest cursor first, up to maxPages.
+ * The cursor is checkpointed after every page: a backlog that outlasts the
+ * budget resumes from next_token, and once drained since_id moves to the
+ * newest reply seen so the next poll fetches only new replies.
+ */
+async function pollCampaignReplies(twitter, campaign, maxPages) {
+  const cursorKey = campaignCursorKey(campaign.id);
+  const cursor = await getCursor(cursorKey);
+
+  let nextToken = cursor.nextToken;
+  let newestId = cursor.newestId;
+  let processed = 0;
+  let pages = 0;
+  let ended = false;
+
+  do {
+    const response = await timeTwitter('search_campaign', () =>
+      twitter.v2.search(`conversation_id:${campaign.tweet_id} is:reply`, {
+        expansions: ['author_id'],
+        'user.fields': ['username', 'created_at', 'public_metrics'],
+        max_results: 100,
+        ...(cursor.sinceId && { since_id: cursor.sinceId }),
+        ...(nextToken && { next_token: nextToken }),
+      })
+    );
+    pages++;
+
+    const page = response?.data;
+    newestId = newestId || page?.meta?.newest_id || null;
+    nextToken = page?.meta?.next_token || null;
+
+    const users = page?.includes?.users || [];
+    // Search returns newest first; pay in reply order within the page
+    const replies = [...(page?.data || [])].reverse();
+
+    // Queue the page's payable replies and settle them in batches
+    let batch = [];
+    for (const reply of replies) {
+      const { outcome, job } = await withLogContext({ correlation_id: reply.id, campaign_id: campaign.id }, () =>
+        processCampaignReply(campaign, reply, users)
+      );
+      if (outcome === 'ended') {
+        ended = true;
+        break;
+      }
+      if (outcome === 'queued') batch.push(job);
+
+      if (batch.length >= GRANT_BATCH_SIZE) {
+        processed += await runGrantBatch(campaign, batch);
+        batch = [];
+        if (campaignIsOver(campaign)) {
+          ended = true;
+          break;
+        }
+      }
+    }
+    if (batch.length) {
+      processed += await runGrantBatch(campaign, batch);
+      if (campaignIsOver(campaign)) ended = true;
+    }
+
+    await saveCursor(
+      cursorKey,
+      nextToken
+        ? { sinceId: cursor.sinceId, nextToken, newestId }
+        : { sinceId: newestId || cursor.sinceId }
+    );
+  } while (nextToken && !ended && pages < maxPages);
+
+  if (nextToken && !ended) console.log(`   📄 Campaign ${campaign.id}: more replies queued for next cycle`);
+  return { processed, pages, ended };
+}
+
+/**
+ * Screen one campaign reply and queue its grant job.
+ * @returns {{ outcome: 'queued' | 'skipped' | 'ended', job?: object }}
+ */
+async function processCampaignReply(campaign, reply, users) {
+  // Check if already processed (dry-run rows only count while in dry-run)
+  let existingQuery = supabase
+    .from('monibot_transactions')
+    .select('id')
+    .eq('tweet_id', reply.id);
+  if (!DRY_RUN) existingQuery = existingQuery.neq('status', 'simulated');
+  const { data: existing } = await existingQuery.limit(1);
+
+  if (existing?.length) return { outcome: 'skipped' };
+
+  // Cheap check on the latest snapshot; the slot reservation is the real guard
+  if (campaignEndReason(campaign)) return { outcome: 'ended' };
+
+  // Resolve user's wallet
+  const author = users.find(u => u.id === reply.author_id);
+  if (!author) return { outcome: 'skipped' };
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, wallet_address, tempo_address, pay_tag')
+    .ilike('x_username', handlePattern(author.username))
+    .limit(1)
+    .maybeSingle();
+
+  if (!profile && !ESCROW_ENABLED) {
+    // Log skip
+    await insertTransaction({
+      tweet_id: reply.id,
+      chain: 'tempo',
+      tx_hash: 'skip_no_profile_' + Date.now(),
+      sender_id: MONIBOT_PROFILE_ID,
+      receiver_id: MONIBOT_PROFILE_ID,
+      amount: 0,
+      fee: 0,
+      type: 'grant',
+      status: 'skipped',
+      error_code: 'RECIPIENT_NOT_FOUND',
+      error_reason: `No profile for @${author.username}`,
+      payer_pay_tag: 'MoniBot',
+      recipient_pay_tag: author.username,
+    });
+    return { outcome: 'skipped' };
+  }
+
+  // Not on MoniPay yet: the grant is held in escrow under their X handle
+  const escrowTag = profile ? null : author.username;
+  const recipient = profile || { id: MONIBOT_PROFILE_ID, pay_tag: author.username, wallet_address: null, tempo_address: null };
+  const recipientAddress = profile ? profile.tempo_address || profile.wallet_address : escrowAddress();
+
+  const eligibility = await evaluateEligibility(campaign, {
+    reply,
+    author,
+    profile: recipient,
+    // An escrowed grant counts as claimed, before and after they link their account
+    hasClaimed: async () =>
+      (ESCROW_ENABLED && (await hasEscrowedGrant(campaign.id, author.username))) ||
+      (!!profile && hasClaimedCampaign(campaign.id, profile.id, recipientAddress)),
+  });
+
+  if (!eligibility.eligible) {
+    console.log(`   🚫 @${author.username} ineligible [${eligibility.rule}]: ${eligibility.reason}`);
+    await insertTransaction({
+      tweet_id: reply.id,
+      chain: 'tempo',
+      tx_hash: `skip_rule_${eligibility.rule}_` + Date.now(),
+      sender_id: MONIBOT_PROFILE_ID,
+      receiver_id: recipient.id,
+      amount: 0,
+      fee: 0,
+      type: 'grant',
+      status: DRY_RUN ? 'simulated' : 'skipped',
+      error_code: 'INELIGIBLE',
+      error_reason: `[${eligibility.rule}] ${eligibility.reason}`,
+      payer_pay_tag: 'MoniBot',
+      recipient_pay_tag: recipient.pay_tag,
+      campaign_id: campaign.id,
+      replied: false,
+    });
+    return { outcome: 'skipped' };
+  }
+
+  const token = resolveToken(campaign.token);
+  const job = await enqueueJob({
+    key: `grant:${campaign.id}:${reply.id}`,
+    kind: 'grant',
+    tweetId: reply.id,
+    payload: {
+      recipientAddress,
+      amount: campaign.grant_amount,
+      token: token.symbol,
+      campaignId: campaign.id,
+      // The router allows one grant per address and campaign; escrow grants all go to one address
+      ...(escrowTag && { escrowTag, grantRef: `${campaign.id}:escrow:${escrowTag.toLowerCase()}` }),
+      row: {
+        tweet_id: reply.id,
+        chain: 'tempo',
+        sender_id: MONIBOT_PROFILE_ID,
+        receiver_id: recipient.id,
+        recipient_pay_tag: recipient.pay_tag,
+        payer_pay_tag: 'MoniBot',
+        amount: campaign.grant_amount,
+        token: token.symbol,
+        type: 'grant',
+        campaign_id: campaign.id,
+      },
+    },
+  });
+  return job ? { outcome: 'queued', job } : { outcome: 'skipped' };
+}
+
+/**
+ * Send a batch of grant jobs together and record each result
+ * @returns number of grants paid
+ */
+async function runGrantBatch(campaign, jobs) {
+  const results = await runJobs(jobs);
+
+  let paid = 0;
+  for (const [i, result] of results.entries()) {
+    if (!result || result.dryRun) continue;
+    paid++;
+    console.log(`✅ Grant to ${jobs[i].payload.row.recipient_pay_tag}: ${result.txHash}`);
+  }
+
+  // Counters moved server-side; pick them up before queueing more
+  await refreshCampaign(campaign);
+  return paid;
+}
+
+// ============ Campaign Budget & Lifecycle ============
+
+/**
+ * Why a campaign can't pay another grant, or null while it still can
+ */
+function campaignEndReason(campaign) {
+  if (campaign.ends_at && new Date(campaign.ends_at) <= new Date()) return 'expired';
+  if (campaign.max_participants && (campaign.current_participants || 0) >= campaign.max_participants) {
+    return 'max_participants';
+  }
+  if (campaign.budget && (campaign.budget_spent || 0) + campaign.grant_amount > campaign.budget) {
+    return 'budget_exhausted';
+  }
+  return null;
+}
+
+function campaignIsOver(campaign) {
+  return campaign.status !== 'active' || !!campaignEndReason(campaign);
+}
+
+async function refreshCampaign(campaign) {
+  const { data } = await supabase
+    .from('campaigns')
+    .select('status, current_participants, budget_spent, budget, max_participants, ends_at')
+    .eq('id', campaign.id)
+    .maybeSingle();
+  if (data) Object.assign(campaign, data);
+}
+
+/**
+ * Atomically claim a participant slot and its budget for one reply.
+ * Idempotent per tweet, so a re-run job never double-counts.
+ */
+async function reserveCampaignSlot({ campaignId, amount, row }) {
+  if (DRY_RUN || !campaignId) return;
+  const { data: reserved, error } = await supabase.rpc('reserve_campaign_slot', {
+    p_campaign_id: campaignId,
+    p_tweet_id: row.tweet_id,
+    p_amount: amount,
+  });
+  if (error) throw error;
+  if (!reserved) throw new TxError('CAMPAIGN_ENDED');
+}
+
+async function releaseCampaignSlot({ campaignId, row }) {
+  if (DRY_RUN || !campaignId) return;
+  const { error } = await supabase.rpc('release_campaign_slot', {
+    p_campaign_id: campaignId,
+    p_tweet_id: row.tweet_id,
+  });
+  if (error) console.error(`❌ Could not release slot for ${row.tweet_id}:`, error.message);
+}
+
+/**
+ * Move an ended campaign to completed and write its final summary row.
+ * The status guard makes the transition happen once even across workers.
+ */
+async function completeCampaign(campaign, reason) {
+  if (DRY_RUN) {
+    console.log(`🧪 Campaign ${campaign.id} would complete (${reason})`);
+    return;
+  }
+
+  const { data: closed, error } = await supabase
+    .from('campaigns')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('id', campaign.id)
+    .in('status', ['active', 'paused'])
+    .select('id, current_participants, budget, budget_spent');
+  if (error) throw error;
+  if (!closed?.length) return;
+
+  const countGrants = async status => {
+    const { count } = await supabase
+      .from('monibot_transactions')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaign.id)
+      .eq('type', 'grant')
+      .eq('status', status);
+    return count || 0;
+  };
+
+  const final = closed[0];
+  await supabase.from('monibot_campaign_summaries').insert({
+    campaign_id: campaign.id,
+    reason,
+    participants: final.current_participants || 0,
+    budget: final.budget,
+    budget_spent: final.budget_spent || 0,
+    grants_completed: await countGrants('completed'),
+    grants_failed: await countGrants('failed'),
+    grants_skipped: await countGrants('skipped'),
+  });
+
+  campaign.status = 'completed';
+  console.log(`🏁 Campaign ${campaign.id} completed (${reason}): ${final.current_participants || 0} participants, ${final.budget_spent || 0} ${tokenLabel(campaign.token)} spent`);
+}
+
+// ============ Admin Interventions ============
+
+/**
+ * Move a campaign between active and paused. Paused campaigns are not
+ * polled and can't reserve slots; grants already in flight still settle.
+ * @returns the updated campaign, or null if it wasn't in the expected state
+ */
+export async function setCampaignPaused(campaignId, paused) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .update({ status: paused ? 'paused' : 'active' })
+    .eq('id', campaignId)
+    .eq('status', paused ? 'active' : 'paused')
+    .select('*');
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Close an active or paused campaign now, writing its summary like any other ending
+ * @returns the closed campaign, or null if it was already completed or doesn't exist
+ */
+export async function closeCampaign(campaignId) {
+  const { data: campaign, error } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('id', campaignId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!campaign || !['active', 'paused'].includes(campaign.status)) return null;
+
+  await completeCampaign(campaign, 'closed');
+  return campaign;
+}
+
+/**
+ * Pay a grant an operator asked for, through the normal job pipeline.
+ * With a campaign it takes a slot and budget like a reply would; without
+ * one it is paid from the executor / router pool directly. grantRef is the
+ * router's campaign id, so it never collides with a campaign grant. There
+ * is no tweet to answer, so the rows are stored as already replied.
+ * @param {{ ref: string, payTag: string, amount: number, token?: string, campaignId?: string, actor: string }} grant
+ * @returns {{ result?: object, job?: object, error?: string }}
+ */
+export async function payManualGrant({ ref, payTag, amount, token: tokenRef, campaignId, actor }) {
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, wallet_address, tempo_address, pay_tag')
+    .ilike('pay_tag', handlePattern(payTag))
+    .limit(1)
+    .maybeSingle();
+  if (!profile) return { error: `No profile with pay tag @${payTag}` };
+
+  const token = resolveToken(tokenRef);
+  const tweetId = `manual_${ref}`;
+  const job = await enqueueJob({
+    key: `grant:manual:${ref}`,
+    kind: 'grant',
+    tweetId,
+    payload: {
+      recipientAddress: profile.tempo_address || profile.wallet_address,
+      amount,
+      token: token.symbol,
+      campaignId: campaignId || null,
+      grantRef: `manual:${ref}`,
+      noReply: true,
+      row: {
+        tweet_id: tweetId,
+        chain: 'tempo',
+        sender_id: MONIBOT_PROFILE_ID,
+        receiver_id: profile.id,
+        recipient_pay_tag: profile.pay_tag,
+        payer_pay_tag: 'MoniBot',
+        amount,
+        token: token.symbol,
+        type: 'grant',
+        campaign_id: campaignId || null,
+      },
+    },
+  });
+  if (!job) return { error: `Manual grant ${ref} was already queued` };
+
+  console.log(`🛠️ Manual grant of ${amount} ${token.label} to @${profile.pay_tag} by ${actor}`);
+  return { job, result: await runJob(job) };
+}
+
+/**
+ * Whether this profile already has a grant from the campaign, paid or in flight
+ */
+async function hasClaimedCampaign(campaignId, profileId, recipientAddress) {
+  const { data: paid } = await supabase
+    .from('monibot_transactions')
+    .select('id')
+    .eq('campaign_id', campaignId)
+    .eq('receiver_id', profileId)
+    .eq('type', 'grant')
+    .in('status', DRY_RUN ? ['completed', 'simulated'] : ['completed'])
+    .limit(1);
+  if (paid?.length) return true;
+
+  const { data: inFlight } = await supabase
+    .from('monibot_jobs')
+    .select('id')
+    .eq('kind', 'grant')
+    .eq('payload->>campaignId', campaignId)
+    .eq('payload->>recipientAddress', recipientAddress)
+    .in('status', ['pending', 'submitted'])
+    .limit(1);
+  return !!inFlight?.length;
+}
+
+// ============ Grant Jobs ============
+
+registerJobHandler('grant', {
+  prepare: async payload => {
+    await reserveCampaignSlot(payload);
+    return {
+      type: 'grant',
+      recipientAddress: payload.recipientAddress,
+      amount: payload.amount,
+      token: payload.token,
+      campaignId: payload.grantRef || payload.campaignId,
+    };
+  },
+  onConfirmed: recordGrant,
+  onFailed: recordGrantFailure,
+});
+
+async function recordGrant(job, result) {
+  const { row } = job.payload;
+
+  await insertTransaction({
+    ...row,
+    tx_hash: result.txHash,
+    fee: parseFloat(result.fee),
+    expected_fee: parseFloat(result.expectedFee),
+    fee_mismatch: result.feeMismatch,
+    status: result.dryRun ? 'simulated' : job.payload.escrowTag ? 'escrowed' : 'completed',
+    replied: !!job.payload.noReply,
+  });
+
+  // Participant and budget counters were taken when the slot was reserved
+  if (result.dryRun) console.log(`🧪 Grant to ${row.recipient_pay_tag} simulated OK`);
+  else if (job.payload.escrowTag) await openEscrow(job, result);
+}
+
+async function recordGrantFailure(job, decoded) {
+  const { row } = job.payload;
+  console.error(`❌ Grant failed for ${row.recipient_pay_tag} [${decoded.code}]:`, decoded.message);
+
+  await releaseCampaignSlot(job.payload);
+
+  const skipped = decoded.simulated || decoded.code === 'CAMPAIGN_ENDED';
+  await insertTransaction({
+    ...row,
+    tx_hash: job.tx_hash || (decoded.simulated ? 'skip_simulation_' : skipped ? 'skip_campaign_ended_' : 'failed_') + Date.now(),
+    fee: 0,
+    status: DRY_RUN ? 'simulated' : skipped ? 'skipped' : 'failed',
+    error_code: decoded.code,
+    error_reason: decoded.message,
+    replied: !!job.payload.noReply,
+  });
+}
+
 export function getSupabase() {
   return supabase;
 }
@@ -0,0 +1,107 @@
+/**
+ * Tempo Worker Campaign Eligibility
+ *
+ * Rules live in campaigns.eligibility_rules (jsonb), e.g.
+ * {
+ *   "min_account_age_days": 30,
+ *   "min_followers": 10,
+ *   "required_hashtags": ["monibot"],     // all must appear
+ *   "required_keywords": ["tempo", "αusd"], // at least one must appear
+ *   "require_wallet_address": true,        // reply must include the linked wallet
+ *   "one_claim_per_user": true             // default on
+ * }
+ * Missing keys disable that rule.
+ */
+
+const DEFAULT_RULES = { one_claim_per_user: true };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Evaluated in order; the first failure is reported
+const RULES = [
+  {
+    name: 'min_account_age_days',
+    check: (limit, { author }) => {
+      if (!author.created_at) return `Account age unknown for @${author.username}`;
+      const ageDays = Math.floor((Date.now() - new Date(author.created_at).getTime()) / DAY_MS);
+      return ageDays < limit ? `@${author.username} account is ${ageDays}d old (min ${limit}d)` : null;
+    },
+  },
+  {
+    name: 'min_followers',
+    check: (limit, { author }) => {
+      const followers = author.public_metrics?.followers_count ?? 0;
+      return followers < limit ? `@${author.username} has ${followers} followers (min ${limit})` : null;
+    },
+  },
+  {
+    name: 'required_hashtags',
+    check: (hashtags, { reply }) => {
+      const present = new Set((reply.text.match(/#(\w+)/g) || []).map(h => h.slice(1).toLowerCase()));
+      const missing = hashtags.filter(h => !present.has(h.replace(/^#/, '').toLowerCase()));
+      return missing.length ? `Missing hashtag(s): ${missing.map(h => '#' + h.replace(/^#/, '')).join(', ')}` : null;
+    },
+  },
+  {
+    name: 'required_keywords',
+    check: (keywords, { reply }) => {
+      const lower = reply.text.toLowerCase();
+      return keywords.some(k => lower.includes(k.toLowerCase())) ? null : `Reply must mention one of: ${keywords.join(', ')}`;
+    },
+  },
+  {
+    name: 'require_wallet_address',
+    check: (enabled, { reply, profile }) => {
+      if (!enabled) return null;
+      const address = (profile.tempo_address || profile.wallet_address || '').toLowerCase();
+      const quoted = (reply.text.match(/0x[a-fA-F0-9]{40}/g) || []).map(a => a.toLowerCase());
+      if (!quoted.length) return 'Reply does not include a wallet address';
+      return quoted.includes(address) ? null : 'Wallet address in reply does not match linked wallet';
+    },
+  },
+  {
+    name: 'one_claim_per_user',
+    check: async (enabled, { profile, hasClaimed }) => {
+      if (!enabled) return null;
+      return (await hasClaimed()) ? `${profile.pay_tag} already claimed this campaign` : null;
+    },
+  },
+];
+
+const RULE_NAMES = new Set(RULES.map(r => r.name));
+
+/**
+ * Merge a campaign's stored rules over the defaults, dropping unknown keys
+ */
+export function normalizeRules(raw) {
+  const rules = { ...DEFAULT_RULES };
+  for (const [name, value] of Object.entries(raw || {})) {
+    if (!RULE_NAMES.has(name)) {
+      console.warn(`⚠️ Unknown eligibility rule "${name}" ignored`);
+      continue;
+    }
+    rules[name] = value;
+  }
+  return rules;
+}
+
+/**
+ * Check a campaign reply against the campaign's rules.
+ * @param {object} campaign - row with eligibility_rules
+ * @param {object} ctx - { reply, author, profile, hasClaimed: () => Promise<boolean> }
+ * @returns {Promise<{ eligible: true } | { eligible: false, rule: string, reason: string }>}
+ */
+export async function evaluateEligibility(campaign, ctx) {
+  const rules = normalizeRules(campaign.eligibility_rules);
+
+  for (const rule of RULES) {
+    const setting = rules[rule.name];
+    if (setting === undefined || setting === null || setting === false) continue;
+    if (Array.isArray(setting) && !setting.length) continue;
+
+    const reason = await rule.check(setting, ctx);
+    if (reason) return { eligible: false, rule: rule.name, reason };
+  }
+
+  return { eligible: true };
+}
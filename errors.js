@@ -0,0 +1,139 @@
+/**
+ * Tempo Worker Error Decoding
+ *
+ * Turns MoniBotRouter reverts, RPC failures and timeouts into stable
+ * error codes stored in monibot_transactions.error_code.
+ */
+
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  WaitForTransactionReceiptTimeoutError,
+  TimeoutError,
+  HttpRequestError,
+  RpcRequestError,
+  InsufficientFundsError,
+  NonceTooLowError,
+  NonceTooHighError,
+} from 'viem';
+
+// retryable: the same command may succeed later without user action
+export const ERROR_CODES = {
+  // MoniBotRouter custom errors
+  NOT_EXECUTOR: { retryable: false, reason: 'Worker wallet is not an authorized executor' },
+  INVALID_ADDRESS: { retryable: false, reason: 'Invalid wallet address' },
+  INVALID_AMOUNT: { retryable: false, reason: 'Invalid amount' },
+  INVALID_NONCE: { retryable: true, reason: 'Router nonce out of sync' },
+  INSUFFICIENT_ALLOWANCE: { retryable: false, reason: 'Sender has not approved enough of the token' },
+  INSUFFICIENT_BALANCE: { retryable: false, reason: 'Sender balance too low' },
+  TWEET_ID_ALREADY_USED: { retryable: false, reason: 'Tweet was already paid out' },
+  GRANT_ALREADY_ISSUED: { retryable: false, reason: 'Grant already issued for this campaign' },
+  FEE_TOO_HIGH: { retryable: false, reason: 'Router fee exceeds its cap' },
+  INSUFFICIENT_CONTRACT_BALANCE: { retryable: true, reason: 'MoniBotRouter is out of funds' },
+
+  // Transaction / RPC level
+  TX_REVERTED: { retryable: false, reason: 'Transaction reverted' },
+  TX_TIMEOUT: { retryable: true, reason: 'Timed out waiting for receipt' },
+  TX_CANCELLED: { retryable: true, reason: 'Stuck transaction was cancelled' },
+  NONCE_CONFLICT: { retryable: true, reason: 'Executor nonce conflict' },
+  EXECUTOR_OUT_OF_GAS_FUNDS: { retryable: true, reason: 'Fee payer (sponsor, or executor if unsponsored) cannot pay network fees' },
+  RPC_ERROR: { retryable: true, reason: 'Tempo RPC unavailable' },
+  LEASE_LOST: { retryable: true, reason: 'Worker lost the leader lease before broadcasting' },
+
+  // Worker-side checks before touching the chain
+  INSUFFICIENT_EXECUTOR_BALANCE: { retryable: true, reason: 'Executor funds not held in escrow cannot cover the payout' },
+  SENDER_NOT_FOUND: { retryable: false, reason: 'Sender has no MoniPay profile' },
+  RECIPIENT_NOT_FOUND: { retryable: false, reason: 'Recipient has no MoniPay profile' },
+  PARSE_FAILED: { retryable: false, reason: 'Could not understand the command' },
+  NOT_A_COMMAND: { retryable: false, reason: 'Tweet is not a payment command' },
+  INELIGIBLE: { retryable: false, reason: 'Reply does not meet campaign rules' },
+  CAMPAIGN_ENDED: { retryable: false, reason: 'Campaign is out of budget, full or expired' },
+  TX_LIMIT_EXCEEDED: { retryable: false, reason: 'Command is over the sender per-transaction limit' },
+  DAILY_LIMIT_EXCEEDED: { retryable: true, reason: 'Command is over the sender daily limit' },
+  RECIPIENT_LIMIT_EXCEEDED: { retryable: false, reason: 'Command has too many recipients' },
+  VELOCITY_FLAGGED: { retryable: true, reason: 'Sender activity flagged as suspicious' },
+  CONFIRMATION_REQUIRED: { retryable: false, reason: 'Command needs the sender to confirm it' },
+  CONFIRMATION_EXPIRED: { retryable: false, reason: 'Sender did not confirm the command in time' },
+  CONFIRMATION_CANCELLED: { retryable: false, reason: 'Sender cancelled the command' },
+
+  UNKNOWN: { retryable: false, reason: 'Unknown error' },
+};
+
+/**
+ * Error thrown by the worker itself with a known code
+ */
+export class TxError extends Error {
+  constructor(code, message) {
+    super(message || ERROR_CODES[code]?.reason || code);
+    this.name = 'TxError';
+    this.code = code;
+  }
+}
+
+/**
+ * A write that reverted in pre-flight simulation and was never broadcast
+ */
+export class SimulationError extends Error {
+  constructor(cause) {
+    super(cause?.shortMessage || cause?.message || 'Simulation failed');
+    this.name = 'SimulationError';
+    this.cause = cause;
+  }
+}
+
+// InsufficientContractBalance -> INSUFFICIENT_CONTRACT_BALANCE
+function errorNameToCode(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Classify any error raised on the grant/P2P path.
+ * `simulated` is set when the failure was predicted before broadcasting.
+ * @returns {{ code: string, retryable: boolean, message: string, simulated: boolean }}
+ */
+export function decodeTxError(error) {
+  const simulated = error instanceof SimulationError;
+  const source = simulated ? error.cause : error;
+  const { code, message } = resolve(source);
+  return {
+    code,
+    retryable: ERROR_CODES[code].retryable,
+    message: message || source?.shortMessage || source?.message || ERROR_CODES[code].reason,
+    simulated,
+  };
+}
+
+function resolve(error) {
+  if (error instanceof TxError && ERROR_CODES[error.code]) return { code: error.code };
+
+  if (error instanceof BaseError) {
+    const revert = error.walk(e => e instanceof ContractFunctionRevertedError);
+    if (revert) {
+      const name = revert.data?.errorName;
+      const code = name && errorNameToCode(name);
+      if (code && ERROR_CODES[code]) return { code, message: `${name}: ${ERROR_CODES[code].reason}` };
+      return { code: 'TX_REVERTED', message: revert.reason };
+    }
+
+    return { code: resolveTransportCode(error) };
+  }
+
+  return { code: 'UNKNOWN' };
+}
+
+function resolveTransportCode(error) {
+  const cause = error.walk(e =>
+    e instanceof WaitForTransactionReceiptTimeoutError ||
+    e instanceof TimeoutError ||
+    e instanceof NonceTooLowError ||
+    e instanceof NonceTooHighError ||
+    e instanceof InsufficientFundsError ||
+    e instanceof HttpRequestError ||
+    e instanceof RpcRequestError
+  );
+  if (cause instanceof WaitForTransactionReceiptTimeoutError || cause instanceof TimeoutError) return 'TX_TIMEOUT';
+  if (cause instanceof NonceTooLowError || cause instanceof NonceTooHighError) return 'NONCE_CONFLICT';
+  if (cause instanceof InsufficientFundsError) return 'EXECUTOR_OUT_OF_GAS_FUNDS';
+  if (cause instanceof HttpRequestError || cause instanceof RpcRequestError) return 'RPC_ERROR';
+  return 'UNKNOWN';
+}
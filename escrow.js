@@ -0,0 +1,268 @@
+/**
+ * Tempo Worker Escrow
+ *
+ * A grant or P2P payment to someone with no MoniPay profile is paid into
+ * escrow instead of being dropped: the executor wallet receives it (fee
+ * taken as usual) and monibot_escrows records who it is for, by X handle.
+ * Once a profile with that x_username exists, the funds are released to its
+ * wallet. If none appears within ESCROW_EXPIRY_MS they are refunded: P2P to
+ * the sender, grants back to the MoniBotRouter pool. Releases are fee-free
+ * transfers run as 'release' jobs.
+ *
+ * held → releasing → claimed | refunded
+ */
+
+import { DRY_RUN, MONIBOT_ROUTER, executorAccount, setReservedFunds } from './blockchain.js';
+import { enqueueJob, runJobs, registerJobHandler } from './jobs.js';
+import { resolveToken } from './tokens.js';
+import { handlePattern } from './parser.js';
+import { insertTransaction } from './transactions.js';
+
+export const ESCROW_ENABLED = process.env.ESCROW_UNKNOWN_RECIPIENTS !== 'false';
+export const ESCROW_EXPIRY_MS = parseInt(process.env.ESCROW_EXPIRY_MS || String(30 * 24 * 60 * 60 * 1000), 10);
+const MAX_RELEASE_ATTEMPTS = 5;
+
+let supabase = null;
+
+export function initEscrow(supabaseClient) {
+  supabase = supabaseClient;
+  setReservedFunds(heldEscrowTotals);
+  console.log(ESCROW_ENABLED
+    ? `✅ Escrow initialized (unclaimed funds refunded after ${Math.round(ESCROW_EXPIRY_MS / 86400000)} days)`
+    : '⚠️ Escrow disabled - payments to unknown recipients are dropped');
+}
+
+/**
+ * Where escrowed payments are sent: the executor wallet, which pays out releases
+ */
+export function escrowAddress() {
+  return executorAccount.address;
+}
+
+/**
+ * Escrowed funds still in the executor wallet, per token symbol. They are
+ * owed to their recipients, so payouts from the executor's own funds
+ * (non-router grants, fee rebates) leave them alone.
+ * @returns {Promise<Object<string, number>>}
+ */
+export async function heldEscrowTotals() {
+  const { data, error } = await supabase
+    .from('monibot_escrows')
+    .select('token, amount')
+    .in('status', ['held', 'releasing']);
+  if (error) throw error;
+
+  const totals = {};
+  for (const escrow of data || []) totals[escrow.token] = (totals[escrow.token] || 0) + Number(escrow.amount);
+  return totals;
+}
+
+// ============ Deposits ============
+
+/**
+ * Open the escrow entry for a confirmed deposit job (payload.escrowTag set).
+ * Keyed by the job, so a reconciler re-run can't open it twice.
+ */
+export async function openEscrow(job, result) {
+  const { payload } = job;
+  const { row } = payload;
+  const refundAddress = job.kind === 'p2p'
+    ? payload.senderAddress
+    : resolveToken(payload.token).viaRouter ? MONIBOT_ROUTER : null;
+
+  const { error } = await supabase
+    .from('monibot_escrows')
+    .upsert(
+      {
+        job_key: job.job_key,
+        kind: job.kind,
+        tweet_id: row.tweet_id,
+        recipient_tag: payload.escrowTag,
+        sender_id: row.sender_id,
+        payer_pay_tag: row.payer_pay_tag,
+        campaign_id: row.campaign_id || null,
+        token: payload.token,
+        amount: parseFloat(result.netAmount),
+        deposit_tx_hash: result.txHash,
+        refund_address: refundAddress,
+        status: 'held',
+        expires_at: new Date(Date.now() + ESCROW_EXPIRY_MS).toISOString(),
+      },
+      { onConflict: 'job_key', ignoreDuplicates: true }
+    );
+  if (error) throw error;
+  console.log(`   💼 Holding ${result.netAmount} ${payload.token} in escrow for @${payload.escrowTag}`);
+}
+
+/**
+ * Whether an X handle already has an escrowed grant for a campaign (held,
+ * released or still being paid in), in any case
+ */
+export async function hasEscrowedGrant(campaignId, recipientTag) {
+  const { data: held } = await supabase
+    .from('monibot_escrows')
+    .select('id')
+    .eq('campaign_id', campaignId)
+    .ilike('recipient_tag', handlePattern(recipientTag))
+    .neq('status', 'refunded')
+    .limit(1);
+  if (held?.length) return true;
+
+  const { data: inFlight } = await supabase
+    .from('monibot_jobs')
+    .select('id')
+    .eq('kind', 'grant')
+    .eq('payload->>campaignId', campaignId)
+    .ilike('payload->>escrowTag', handlePattern(recipientTag))
+    .in('status', ['pending', 'submitted'])
+    .limit(1);
+  return !!inFlight?.length;
+}
+
+// ============ Releases ============
+
+registerJobHandler('release', {
+  prepare: async payload => ({
+    type: 'release',
+    recipientAddress: payload.recipientAddress,
+    amount: payload.amount,
+    token: payload.token,
+  }),
+  onConfirmed: recordRelease,
+  onFailed: recordReleaseFailure,
+});
+
+async function updateEscrow(id, fields) {
+  const { error } = await supabase
+    .from('monibot_escrows')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+async function recordRelease(job, result) {
+  const { escrowId, action, row } = job.payload;
+  await updateEscrow(escrowId, {
+    status: action === 'claim' ? 'claimed' : 'refunded',
+    release_tx_hash: result.txHash,
+    ...(action === 'claim' && { recipient_id: row.receiver_id }),
+  });
+
+  await insertTransaction({
+    ...row,
+    tx_hash: result.txHash,
+    amount: parseFloat(result.amount),
+    fee: 0,
+    status: 'completed',
+  });
+  console.log(`   ${action === 'claim' ? '🎁' : '↩️'} Escrow ${escrowId} ${action === 'claim' ? 'claimed by' : 'refunded, unclaimed by'} @${row.recipient_pay_tag}`);
+}
+
+async function recordReleaseFailure(job, decoded) {
+  const { escrowId, attempts } = job.payload;
+  const exhausted = attempts + 1 >= MAX_RELEASE_ATTEMPTS;
+  console.error(`   ❌ Escrow ${escrowId} release failed [${decoded.code}]:`, decoded.message);
+
+  // Back to held so the next cycle tries again; left for an operator once retries run out
+  await updateEscrow(escrowId, {
+    status: exhausted ? 'failed' : 'held',
+    release_attempts: attempts + 1,
+    last_error: `${decoded.code}: ${decoded.message}`,
+  });
+}
+
+/**
+ * Queue the release of one held escrow, and mark it releasing
+ * @returns the job to run, or null
+ */
+async function queueRelease(escrow, action, recipient) {
+  const claim = action === 'claim';
+  const attempts = escrow.release_attempts || 0;
+  const job = await enqueueJob({
+    key: `escrow:${action}:${escrow.id}:${attempts}`,
+    kind: 'release',
+    tweetId: escrow.tweet_id,
+    payload: {
+      escrowId: escrow.id,
+      action,
+      attempts,
+      recipientAddress: recipient.address,
+      amount: escrow.amount,
+      token: escrow.token,
+      row: {
+        tweet_id: escrow.tweet_id,
+        chain: 'tempo',
+        sender_id: escrow.sender_id,
+        receiver_id: claim ? recipient.profileId : escrow.sender_id,
+        type: claim ? 'escrow_claim' : 'escrow_refund',
+        payer_pay_tag: escrow.payer_pay_tag,
+        recipient_pay_tag: escrow.recipient_tag,
+        campaign_id: escrow.campaign_id,
+        token: escrow.token,
+        // Only a refunded P2P sender is told, on their original command
+        replied: claim || escrow.kind !== 'p2p',
+      },
+    },
+  });
+  if (!job) return null;
+
+  await updateEscrow(escrow.id, { status: 'releasing', release_job_key: job.job_key });
+  return job;
+}
+
+/**
+ * One pass per cycle: release held escrows whose recipient has linked their
+ * X account, and refund those past their expiry
+ * @returns number of escrows released
+ */
+export async function processEscrows() {
+  if (!ESCROW_ENABLED || DRY_RUN || !supabase) return 0;
+
+  const { data: escrows, error } = await supabase
+    .from('monibot_escrows')
+    .select('*')
+    .eq('status', 'held')
+    .order('created_at', { ascending: true });
+  if (error) {
+    console.error('❌ Could not load escrows:', error.message);
+    return 0;
+  }
+  if (!escrows?.length) return 0;
+
+  // Match the X account linked in MoniPay, ignoring case: X handles are case-insensitive
+  const tags = [...new Set(escrows.map(e => e.recipient_tag.toLowerCase()))];
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('id, x_username, wallet_address, tempo_address')
+    .or(tags.map(tag => `x_username.ilike.${handlePattern(tag)}`).join(','));
+  const profileOf = tag => profiles?.find(p => p.x_username?.toLowerCase() === tag.toLowerCase());
+
+  const jobs = [];
+  for (const escrow of escrows) {
+    try {
+      const profile = profileOf(escrow.recipient_tag);
+      const address = profile?.tempo_address || profile?.wallet_address;
+
+      if (address) {
+        const job = await queueRelease(escrow, 'claim', { address, profileId: profile.id });
+        if (job) jobs.push(job);
+      } else if (Date.parse(escrow.expires_at) <= Date.now()) {
+        if (!escrow.refund_address) {
+          // Paid from the executor's own funds (non-router grant): nothing to move back
+          await updateEscrow(escrow.id, { status: 'refunded' });
+          console.log(`   ↩️ Escrow ${escrow.id} expired, released back to the executor`);
+          continue;
+        }
+        const job = await queueRelease(escrow, 'refund', { address: escrow.refund_address });
+        if (job) jobs.push(job);
+      }
+    } catch (err) {
+      console.error(`❌ Escrow ${escrow.id} error:`, err.message);
+    }
+  }
+  if (!jobs.length) return 0;
+
+  console.log(`💼 Releasing ${jobs.length} escrow(s)...`);
+  const results = await runJobs(jobs);
+  return results.filter(Boolean).length;
+}
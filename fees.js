@@ -0,0 +1,137 @@
+/**
+ * Tempo Worker Fee Policy
+ *
+ * The router takes its fee on-chain; this module mirrors that configuration
+ * so the worker can quote fees before sending (balance checks, dry runs).
+ * What gets recorded is always the fee read from the receipt's Transfer
+ * logs, and any difference from the quote is flagged.
+ *
+ * Env (amounts in whole units of the token being paid):
+ *   FEE_GRANT_BPS / FEE_P2P_BPS   rate per payout type (default 130 = 1.3%)
+ *   FEE_GRANT_MIN / FEE_P2P_MIN   floor, never above the amount itself
+ *   FEE_GRANT_MAX / FEE_P2P_MAX   cap
+ *   FEE_EXEMPT_PAY_TAGS           comma-separated partner pay tags charged no fee; on
+ *                                 direct transfers the fee leg is left out, on
+ *                                 MoniBotRouter payouts (which always take the fee) the
+ *                                 executor rebates it to the recipient in the same tx
+ *
+ * Fees go to the network profile's treasury (networks.js, TREASURY_ADDRESS).
+ */
+
+import { parseUnits, formatUnits, parseEventLogs, erc20Abi } from 'viem';
+import { NETWORK } from './networks.js';
+
+export const TREASURY = NETWORK.treasury;
+
+const DEFAULT_FEE_BPS = 130; // 1.3%
+
+function readPolicy(prefix) {
+  return {
+    bps: parseInt(process.env[`${prefix}_BPS`] || String(DEFAULT_FEE_BPS), 10),
+    min: process.env[`${prefix}_MIN`] || null,
+    max: process.env[`${prefix}_MAX`] || null,
+  };
+}
+
+const POLICIES = {
+  grant: readPolicy('FEE_GRANT'),
+  p2p: readPolicy('FEE_P2P'),
+  // Escrow claims and refunds; the fee was taken when the funds went in
+  release: { bps: 0, min: null, max: null },
+};
+
+const EXEMPT_PAY_TAGS = new Set(
+  (process.env.FEE_EXEMPT_PAY_TAGS || '')
+    .split(',')
+    .map(t => t.trim().replace(/^@/, '').toLowerCase())
+    .filter(Boolean)
+);
+
+export function isFeeExempt(payTags = []) {
+  return payTags.some(tag => tag && EXEMPT_PAY_TAGS.has(tag.replace(/^@/, '').toLowerCase()));
+}
+
+/**
+ * Expected fee for a payout under the configured policy
+ * @param {'grant'|'p2p'|'release'} type
+ * @param {bigint} amountWei - gross amount
+ * @param {{ decimals: number, payTags?: string[], viaRouter?: boolean }} opts - payTags of
+ *   payer / recipient; viaRouter when MoniBotRouter pays it out and takes the fee itself
+ * @returns {{ fee: bigint, net: bigint, bps: number, exempt: boolean, rebate: bigint }} - rebate
+ *   is the router fee the executor pays back to an exempt recipient
+ */
+export function quoteFee(type, amountWei, { decimals, payTags = [], viaRouter = false }) {
+  const policy = POLICIES[type];
+  if (!policy) throw new Error(`No fee policy for "${type}"`);
+
+  const fee = policyFee(policy, amountWei, decimals);
+  if (isFeeExempt(payTags)) {
+    return { fee: 0n, net: amountWei, bps: 0, exempt: true, rebate: viaRouter ? fee : 0n };
+  }
+  return { fee, net: amountWei - fee, bps: policy.bps, exempt: false, rebate: 0n };
+}
+
+function policyFee(policy, amountWei, decimals) {
+  let fee = (amountWei * BigInt(policy.bps)) / 10000n;
+  if (policy.min !== null) {
+    const min = parseUnits(policy.min, decimals);
+    if (fee < min) fee = min < amountWei ? min : amountWei;
+  }
+  if (policy.max !== null) {
+    const max = parseUnits(policy.max, decimals);
+    if (fee > max) fee = max;
+  }
+  return fee;
+}
+
+/**
+ * Sum of token Transfer logs in a receipt, optionally only from / to an address
+ * @returns {bigint}
+ */
+function sumTransfers(receipt, token, { from, to }) {
+  const transfers = parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs || [] });
+  return transfers
+    .filter(log => log.address.toLowerCase() === token.toLowerCase())
+    .filter(log => !from || log.args.from.toLowerCase() === from.toLowerCase())
+    .filter(log => !to || log.args.to.toLowerCase() === to.toLowerCase())
+    .reduce((sum, log) => sum + log.args.value, 0n);
+}
+
+/**
+ * Sum of token Transfer logs into the treasury in a receipt
+ * @returns {bigint}
+ */
+export function feeFromReceipt(receipt, token) {
+  return sumTransfers(receipt, token, { to: TREASURY });
+}
+
+/**
+ * Fee rebates in a receipt: transfers from the executor to the recipient
+ * @returns {bigint}
+ */
+export function rebateFromReceipt(receipt, token, executor, recipient) {
+  return sumTransfers(receipt, token, { from: executor, to: recipient });
+}
+
+/**
+ * Compare the quoted fee with the one charged on-chain
+ * @returns {{ expectedFee: string, feeMismatch: boolean }}
+ */
+export function checkFee(expected, actual, decimals, label) {
+  const feeMismatch = expected !== actual;
+  if (feeMismatch) {
+    console.warn(
+      `⚠️ Fee mismatch on ${label}: expected ${formatUnits(expected, decimals)}, charged ${formatUnits(actual, decimals)}`
+    );
+  }
+  return { expectedFee: formatUnits(expected, decimals), feeMismatch };
+}
+
+export function describeFeePolicy() {
+  return {
+    treasury: TREASURY,
+    grant: POLICIES.grant,
+    p2p: POLICIES.p2p,
+    exemptPayTags: [...EXEMPT_PAY_TAGS],
+  };
+}
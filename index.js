@@ -1,21 +1,35 @@
 /**
  * MoniBot Tempo Worker v1.0
  * 
- * Processes campaign grants and P2P commands on Tempo Testnet.
+ * Processes campaign grants and P2P commands on Tempo (network set by TEMPO_NETWORK).
  * Uses native fee sponsorship (no EIP-712 relayer needed).
  * AlphaUSD (TIP-20, 6 decimals).
  */
 
 import 'dotenv/config';
+import './logger.js';
 import express from 'express';
 import { initSupabase, processCampaignQueue, getSupabase } from './database.js';
 import { initTwitter } from './twitter.js';
-import { initBlockchain } from './blockchain.js';
+import { initBlockchain, checkSponsorBalance, getOperatorBalances, setBroadcastGuard } from './blockchain.js';
 import { initP2P, pollP2PCommands } from './p2p.js';
+import { initConfirmations, processConfirmations, createConfirmRouter } from './confirmations.js';
+import { initEscrow, processEscrows } from './escrow.js';
+import { initJobs, reconcileJobs, countInFlightJobs } from './jobs.js';
+import { initCursors, resetCursors } from './cursors.js';
+import { initReplies, processReplyQueue } from './replies.js';
+import { initTransactions } from './transactions.js';
+import { initQueries, processQueryCommands } from './queries.js';
+import { describeFeePolicy } from './fees.js';
+import { DEFAULT_TOKEN, listTokens } from './tokens.js';
+import { NETWORK } from './networks.js';
+import { initAdmin, createAdminRouter } from './admin.js';
+import { renderMetrics, observeCycle, setBalances } from './metrics.js';
+import { initScheduler, startScheduler, stopScheduler, getSchedulerState, isLeader } from './scheduler.js';
 
 const PORT = process.env.PORT || 3002;
 const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL_MS || '30000', 10);
-const AUTO_RESTART_MS = 90 * 60 * 1000;
+const AUTO_RESTART_MS = parseInt(process.env.AUTO_RESTART_MS || String(90 * 60 * 1000), 10);
 
 let processedCount = 0;
 let errorCount = 0;
@@ -24,35 +38,80 @@ let lastPoll = null;
 
 const app = express();
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  const [sponsor, inFlightJobs] = await Promise.all([
+    checkSponsorBalance().catch(() => null),
+    countInFlightJobs(),
+  ]);
+  const scheduler = getSchedulerState();
+  const alarms = [];
+  if (sponsor?.low) alarms.push('sponsor_balance_low');
+
   res.json({
-    status: 'ok',
+    status: scheduler.state === 'draining' ? 'draining' : alarms.length ? 'degraded' : 'ok',
+    alarms,
+    sponsor,
     chain: 'tempo',
-    token: 'AlphaUSD',
+    network: NETWORK.key,
+    chainId: NETWORK.chain.id,
+    token: DEFAULT_TOKEN.symbol,
     lastPoll,
     cycleCount,
     processedCount,
     errorCount,
+    scheduler,
+    inFlightJobs,
   });
 });
 
+// Prometheus scrape target
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+const adminRouter = createAdminRouter();
+if (adminRouter) app.use('/admin', adminRouter);
+
+const confirmRouter = createConfirmRouter();
+if (confirmRouter) app.use('/confirm', confirmRouter);
+
 app.listen(PORT, () => {
   console.log(`🚀 MoniBot Tempo Worker v1.0 running on port ${PORT}`);
 });
 
 console.log('┌─────────────────────────────────────────────────┐');
 console.log('│      MoniBot Tempo Worker v1.0                 │');
-console.log('│    Fee Sponsorship + AlphaUSD (Testnet)        │');
+console.log('│    Fee Sponsorship + TIP-20 Stablecoins        │');
 console.log('└─────────────────────────────────────────────────┘\n');
 
 initSupabase();
 await initTwitter();
 await initBlockchain();
 initP2P(getSupabase());
+initConfirmations(getSupabase());
+initEscrow(getSupabase());
+initJobs(getSupabase());
+initTransactions(getSupabase());
+initCursors(getSupabase());
+initReplies(getSupabase());
+initQueries(getSupabase());
+initAdmin(getSupabase());
+initScheduler(getSupabase());
+// A cycle that outlives the lease must not pay out next to the new leader
+setBroadcastGuard(isLeader);
+
+// Admin reset: RESET_CURSORS=all or a comma list such as "p2p,campaign:<id>"
+if (process.env.RESET_CURSORS) {
+  const keys = process.env.RESET_CURSORS.trim();
+  await resetCursors(keys === 'all' ? 'all' : keys.split(',').map(k => k.trim()).filter(Boolean));
+}
 
 console.log(`\n📋 Configuration:`);
-console.log(`   Chain:            Tempo Testnet (42431)`);
-console.log(`   Token:            AlphaUSD (6 decimals)`);
+console.log(`   Chain:            ${NETWORK.chain.name} (${NETWORK.chain.id})`);
+console.log(`   Token:            ${DEFAULT_TOKEN.symbol} (${DEFAULT_TOKEN.decimals} decimals, default)`);
+console.log(`   Also accepted:    ${listTokens().filter(t => t !== DEFAULT_TOKEN).map(t => t.symbol).join(', ') || 'none'}`);
+const fees = describeFeePolicy();
+console.log(`   Fees:             grant ${fees.grant.bps}bps, P2P ${fees.p2p.bps}bps, ${fees.exemptPayTags.length} exempt pay tag(s)`);
 console.log(`   Poll Interval:    ${POLL_INTERVAL}ms`);
 console.log(`   Auto-Restart:     ${AUTO_RESTART_MS / 60000} minutes`);
 console.log('');
@@ -61,34 +120,58 @@ async function pollAndProcess() {
   cycleCount++;
   lastPoll = new Date().toISOString();
   console.log(`\n🔄 [Cycle ${cycleCount}] Polling at ${lastPoll}`);
+  const started = Date.now();
+  let ok = true;
 
   try {
+    const reconciled = await reconcileJobs();
     const campaignProcessed = await processCampaignQueue();
     const p2pProcessed = await pollP2PCommands();
-    processedCount += campaignProcessed + p2pProcessed;
-    console.log(`   📊 Cycle ${cycleCount} done: campaigns=${campaignProcessed}, p2p=${p2pProcessed}, total=${processedCount}`);
+    const confirmedProcessed = await processConfirmations();
+    const escrowsReleased = await processEscrows();
+    const replied = await processReplyQueue();
+    const answered = await processQueryCommands();
+    processedCount += reconciled + campaignProcessed + p2pProcessed + confirmedProcessed + escrowsReleased;
+    console.log(`   📊 Cycle ${cycleCount} done: reconciled=${reconciled}, campaigns=${campaignProcessed}, p2p=${p2pProcessed}, confirmed=${confirmedProcessed}, escrow=${escrowsReleased}, replies=${replied}, queries=${answered}, total=${processedCount}`);
   } catch (error) {
     console.error('❌ Poll error:', error.message, error.stack);
     errorCount++;
+    ok = false;
+  }
+  observeCycle((Date.now() - started) / 1000, ok);
+
+  // Balance gauges for /metrics, refreshed once per cycle rather than per scrape
+  try {
+    setBalances(await getOperatorBalances());
+  } catch (error) {
+    console.warn('⚠️ Could not refresh balance metrics:', error.message);
   }
 }
 
-setTimeout(() => {
-  console.log('\n🔄 90-minute auto-restart triggered...');
+// Drain instead of exiting mid-broadcast: no new cycle starts, the running
+// one finishes, the lease is released, then the process exits
+async function shutdown(reason) {
+  const drained = await stopScheduler(reason);
   console.log(`📊 Completed ${cycleCount} poll cycles, ${processedCount} transactions.`);
-  process.exit(0);
+  process.exit(drained ? 0 : 1);
+}
+
+setTimeout(() => {
+  console.log(`\n🔄 ${AUTO_RESTART_MS / 60000}-minute auto-restart triggered...`);
+  shutdown('auto-restart');
 }, AUTO_RESTART_MS);
 
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down...');
-  process.exit(0);
+  shutdown('SIGTERM');
 });
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down...');
-  process.exit(0);
+  shutdown('SIGINT');
 });
 
+// Cycles never overlap, and only run while this instance holds the lease;
+// the first one also settles anything a previous run left in flight
 console.log('🚀 Tempo Worker is now live!\n');
-pollAndProcess();
-setInterval(pollAndProcess, POLL_INTERVAL);
+startScheduler(pollAndProcess, { intervalMs: POLL_INTERVAL });
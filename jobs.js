@@ -0,0 +1,368 @@
+/**
+ * Tempo Worker Job Queue
+ *
+ * Durable record of every payout between tweet intake and on-chain execution.
+ * Jobs move pending → submitted → confirmed | failed. The tx hash and signed
+ * payload are stored before broadcast, so a crash mid-payout is recovered by
+ * the reconciler instead of paying the same tweet twice.
+ *
+ * A tx still unmined STUCK_TX_AFTER_MS after broadcast is replaced at the
+ * same nonce with higher fees, up to MAX_TX_SPEEDUPS times, then cancelled
+ * with a no-op tx. Every earlier hash is kept, since any of them may land.
+ */
+
+import { DRY_RUN, canBroadcast, checkSubmittedTx, executeBatch, receiptResult, replaceStuckTx } from './blockchain.js';
+import { TxError, decodeTxError } from './errors.js';
+import { log, withLogContext } from './logger.js';
+
+const STUCK_TX_AFTER_MS = parseInt(process.env.STUCK_TX_AFTER_MS || '180000', 10);
+const MAX_TX_SPEEDUPS = parseInt(process.env.MAX_TX_SPEEDUPS || '3', 10);
+
+let supabase = null;
+const handlers = new Map();
+
+export function initJobs(supabaseClient) {
+  supabase = supabaseClient;
+  console.log('✅ Job queue initialized');
+}
+
+/**
+ * Register how a job kind is executed and recorded.
+ * handler.prepare(payload) → call for blockchain.executeBatch (may throw to fail the job)
+ * handler.onConfirmed(job, result) / handler.onFailed(job, decoded) write monibot_transactions
+ */
+export function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Create the job for one payout, or pick up a leftover pending one.
+ * Returns null when the payout is already in flight or settled.
+ * In DRY_RUN the job lives only in memory so live mode starts clean.
+ */
+export async function enqueueJob({ key, kind, tweetId, payload }) {
+  if (DRY_RUN) {
+    return { id: null, job_key: key, kind, tweet_id: tweetId, status: 'pending', payload, attempts: 0 };
+  }
+
+  const { error } = await supabase
+    .from('monibot_jobs')
+    .upsert(
+      { job_key: key, kind, tweet_id: tweetId, status: 'pending', payload },
+      { onConflict: 'job_key', ignoreDuplicates: true }
+    );
+  if (error) throw error;
+
+  const { data: job, error: readError } = await supabase
+    .from('monibot_jobs')
+    .select('*')
+    .eq('job_key', key)
+    .single();
+  if (readError) throw readError;
+
+  return job.status === 'pending' ? job : null;
+}
+
+// Log lines for a job carry the tweet it pays and its key
+function logContextOf(job) {
+  return { correlation_id: job.tweet_id, job_key: job.job_key };
+}
+
+// Payer / recipient pay tags decide fee exemptions
+function payTagsOf(job) {
+  const row = job.payload.row || {};
+  return [row.payer_pay_tag, row.recipient_pay_tag].filter(Boolean);
+}
+
+async function updateJob(jobId, fields) {
+  if (!jobId) return;
+  const { error } = await supabase
+    .from('monibot_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+  if (error) throw error;
+}
+
+/**
+ * Execute pending jobs as one batch: calls are broadcast back to back and
+ * confirmed together, results are still recorded per job. Once a job's tx
+ * hash is stored, any error other than a confirmed revert leaves it
+ * submitted for the reconciler. Without the leader lease nothing is sent
+ * and the jobs stay pending for the instance that holds it.
+ * @returns one entry per job: the blockchain result, or null if it failed or is still in flight
+ */
+export async function runJobs(jobs) {
+  const results = jobs.map(() => null);
+  const ready = [];
+
+  if (!canBroadcast()) {
+    console.warn(`⚠️ Lease lost: leaving ${jobs.length} job(s) pending`);
+    return results;
+  }
+
+  for (const [i, job] of jobs.entries()) {
+    const handler = handlers.get(job.kind);
+    if (!handler) throw new Error(`No handler for job kind "${job.kind}"`);
+
+    await updateJob(job.id, { attempts: (job.attempts || 0) + 1 });
+    await withLogContext(logContextOf(job), async () => {
+      try {
+        const call = await handler.prepare(job.payload);
+        ready.push({ i, job, handler, call });
+      } catch (error) {
+        await failJob(job, handler, decodeTxError(error));
+      }
+    });
+  }
+  if (!ready.length) return results;
+
+  const submitted = new Set();
+  const outcomes = await executeBatch(
+    ready.map(({ job, call }) => ({
+      payTags: payTagsOf(job),
+      logContext: logContextOf(job),
+      ...call,
+      onSubmitted: async ({ hash, rawTx }) => {
+        await updateJob(job.id, { status: 'submitted', tx_hash: hash, raw_tx: rawTx, submitted_at: new Date().toISOString() });
+        job.tx_hash = hash;
+        submitted.add(job);
+        log.info('job.submitted', { job_key: job.job_key, kind: job.kind, tx_hash: hash });
+      },
+    }))
+  );
+
+  for (const [k, { i, job, handler }] of ready.entries()) {
+    const outcome = outcomes[k];
+    await withLogContext(logContextOf(job), async () => {
+      try {
+        if (outcome.status === 'rejected') throw outcome.reason;
+        await handler.onConfirmed(job, outcome.value);
+        await updateJob(job.id, { status: 'confirmed' });
+        log.info('job.confirmed', { job_key: job.job_key, tx_hash: outcome.value.txHash, amount: outcome.value.amount });
+        results[i] = outcome.value;
+      } catch (error) {
+        const decoded = decodeTxError(error);
+
+        // Lease lost mid-batch: never signed, so it stays pending
+        if (decoded.code === 'LEASE_LOST' && !submitted.has(job)) {
+          log.warn('job.deferred', { job_key: job.job_key, error_code: decoded.code });
+          return;
+        }
+
+        if (submitted.has(job) && decoded.code !== 'TX_REVERTED') {
+          // Left for the reconciler
+          log.warn('job.unresolved', { job_key: job.job_key, tx_hash: job.tx_hash, error_code: decoded.code });
+          return;
+        }
+
+        await failJob(job, handler, decoded);
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Execute a single pending job
+ */
+export async function runJob(job) {
+  const [result] = await runJobs([job]);
+  return result;
+}
+
+/**
+ * Put a failed job back to pending and run it again through its handler.
+ * Its old tx can no longer land (reverted, or its nonce was taken), so the
+ * hashes are cleared. The status guard stops two retries racing.
+ * @param {object} [options] - onAccepted() runs once the job is back to pending, before it runs
+ * @returns the blockchain result, or null if it failed again or is still in flight
+ */
+export async function retryJob(job, { onAccepted } = {}) {
+  const reset = {
+    status: 'pending',
+    error_code: null,
+    tx_hash: null,
+    raw_tx: null,
+    submitted_at: null,
+    replaced_tx_hashes: [],
+    cancelled: false,
+  };
+
+  const { data, error } = await supabase
+    .from('monibot_jobs')
+    .update({ ...reset, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('status', 'failed')
+    .select('*');
+  if (error) throw error;
+  if (!data?.length) throw new Error(`Job ${job.job_key} is not failed`);
+
+  log.info('job.retry', { job_key: job.job_key });
+  await onAccepted?.();
+  return runJob(data[0]);
+}
+
+/**
+ * @returns {Promise<{pending: number, submitted: number}|null>} jobs not yet settled, null if unknown
+ */
+export async function countInFlightJobs() {
+  if (DRY_RUN || !supabase) return null;
+
+  const { data, error } = await supabase
+    .from('monibot_jobs')
+    .select('status')
+    .in('status', ['pending', 'submitted']);
+  if (error) return null;
+
+  return {
+    pending: data.filter(job => job.status === 'pending').length,
+    submitted: data.filter(job => job.status === 'submitted').length,
+  };
+}
+
+async function failJob(job, handler, decoded) {
+  await handler.onFailed(job, decoded);
+  await updateJob(job.id, { status: 'failed', error_code: decoded.code });
+  log.warn('job.failed', { job_key: job.job_key, kind: job.kind, tx_hash: job.tx_hash, error_code: decoded.code });
+}
+
+function isStuck(job) {
+  const since = Date.parse(job.submitted_at || job.updated_at);
+  return !!job.raw_tx && Date.now() - since > STUCK_TX_AFTER_MS;
+}
+
+/**
+ * Speed up a stuck job's tx, or cancel it once the speed-ups are used up.
+ * The replacement is stored (and the old hash kept) before it is broadcast.
+ */
+async function unstickJob(job) {
+  const replaced = job.replaced_tx_hashes || [];
+  if (job.cancelled) {
+    console.log(`   ⏳ ${job.job_key}: cancel ${job.tx_hash} not mined yet`);
+    return;
+  }
+
+  const cancel = replaced.length >= MAX_TX_SPEEDUPS;
+  const { hash } = await replaceStuckTx(job.raw_tx, {
+    cancel,
+    onSubmitted: async ({ hash, rawTx }) => {
+      await updateJob(job.id, {
+        tx_hash: hash,
+        raw_tx: rawTx,
+        replaced_tx_hashes: [...replaced, job.tx_hash],
+        submitted_at: new Date().toISOString(),
+        cancelled: cancel,
+      });
+    },
+  });
+  log.info(cancel ? 'job.cancelled' : 'job.replaced', { job_key: job.job_key, tx_hash: hash, replaced_tx_hash: job.tx_hash });
+}
+
+async function alreadyRecorded(txHash) {
+  const { data } = await supabase
+    .from('monibot_transactions')
+    .select('id')
+    .eq('tx_hash', txHash)
+    .limit(1);
+  return !!data?.length;
+}
+
+/**
+ * Check one submitted job against the chain and settle it if its tx (or a
+ * replacement) was mined; a stuck one is sped up or cancelled
+ * @returns true if the job was confirmed
+ */
+async function settleSubmittedJob(job, handler) {
+  const outcome = await checkSubmittedTx(job.tx_hash, job.raw_tx, job.replaced_tx_hashes || []);
+
+  if (outcome.status === 'pending') {
+    if (isStuck(job)) await unstickJob(job);
+    else console.log(`   ⏳ ${job.job_key}: ${job.tx_hash} not mined yet`);
+    return false;
+  }
+
+  // The cancel tx took the nonce: the payout never happened
+  const cancelled = job.cancelled && outcome.hash === job.tx_hash;
+
+  if (outcome.status === 'success' && !cancelled) {
+    if (!(await alreadyRecorded(outcome.hash))) {
+      const call = {
+        type: job.kind,
+        amount: job.payload.amount,
+        token: job.payload.token,
+        recipientAddress: job.payload.recipientAddress,
+        payTags: payTagsOf(job),
+      };
+      await handler.onConfirmed(job, receiptResult(call, outcome.receipt));
+    }
+    await updateJob(job.id, { status: 'confirmed', tx_hash: outcome.hash });
+    log.info('job.confirmed', { job_key: job.job_key, tx_hash: outcome.hash, amount: job.payload.amount });
+    return true;
+  }
+
+  const decoded = decodeTxError(
+    cancelled
+      ? new TxError('TX_CANCELLED', `Stuck transaction cancelled: ${job.tx_hash}`)
+      : outcome.status === 'reverted'
+        ? new TxError('TX_REVERTED', `Transaction reverted: ${outcome.hash}`)
+        : new TxError('NONCE_CONFLICT', `Transaction dropped, nonce reused: ${job.tx_hash}`)
+  );
+  await failJob(job, handler, decoded);
+  return false;
+}
+
+/**
+ * Settle jobs left in flight by a previous run or an earlier cycle.
+ * Pending jobs were never broadcast and are simply run; submitted jobs are
+ * checked against chain receipts (rebroadcasting the same signed tx if the
+ * node lost it, replacing it if stuck), so a tweet can only ever be paid by
+ * one transaction at that nonce.
+ * @returns number of jobs confirmed
+ */
+export async function reconcileJobs() {
+  if (DRY_RUN || !supabase) return 0;
+
+  const { data: jobs, error } = await supabase
+    .from('monibot_jobs')
+    .select('*')
+    .in('status', ['pending', 'submitted'])
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Could not load in-flight jobs:', error.message);
+    return 0;
+  }
+  if (!jobs?.length) return 0;
+
+  console.log(`🧾 Reconciling ${jobs.length} in-flight job(s)...`);
+  let confirmed = 0;
+
+  for (const job of jobs) {
+    const handler = handlers.get(job.kind);
+    if (!handler || job.status !== 'submitted') continue;
+    if (!canBroadcast()) {
+      console.warn('⚠️ Lease lost: leaving the remaining jobs to the new leader');
+      return confirmed;
+    }
+
+    try {
+      if (await withLogContext(logContextOf(job), () => settleSubmittedJob(job, handler))) confirmed++;
+    } catch (err) {
+      console.error(`❌ Reconcile ${job.job_key} error:`, err.message);
+    }
+  }
+
+  // Pending jobs were never broadcast: run them as one batch
+  const pending = jobs.filter(job => job.status === 'pending' && handlers.has(job.kind));
+  if (pending.length) {
+    try {
+      const results = await runJobs(pending);
+      confirmed += results.filter(Boolean).length;
+    } catch (err) {
+      console.error('❌ Reconcile pending jobs error:', err.message);
+    }
+  }
+
+  return confirmed;
+}
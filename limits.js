@@ -0,0 +1,134 @@
+/**
+ * Tempo Worker P2P Spending Limits
+ *
+ * Checks a parsed P2P command against the sender's limits before anything
+ * is sent. Global limits come from env; a sender can tighten their own, and
+ * opt into a confirmation threshold, with a row in monibot_sender_limits:
+ * {
+ *   "max_per_tx": 100,       // largest single command, in token units
+ *   "max_per_day": 250,      // rolling 24h total of completed and escrowed sends in the command's token
+ *   "max_recipients": 3,     // recipients in one command
+ *   "confirm_above": 50      // commands above this need confirmation (see confirmations.js)
+ * }
+ * A sender setting can only lower the global limit (P2P_CONFIRM_ABOVE for
+ * confirm_above, off when unset). The velocity check flags bursts: too many
+ * commands, or too many distinct recipients, within P2P_VELOCITY_WINDOW_MS.
+ * Only commands that were actually sent count towards it; skipped and
+ * rejected ones (limits, balance, unknown recipient) do not.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+export const LIMIT_WINDOW_MS = 24 * HOUR_MS;
+
+const GLOBAL_LIMITS = {
+  max_per_tx: parseFloat(process.env.P2P_MAX_PER_TX || '10000'),
+  max_per_day: parseFloat(process.env.P2P_MAX_PER_DAY || '25000'),
+  max_recipients: parseInt(process.env.P2P_MAX_RECIPIENTS || '10', 10),
+  confirm_above: process.env.P2P_CONFIRM_ABOVE ? parseFloat(process.env.P2P_CONFIRM_ABOVE) : null,
+};
+
+const VELOCITY_WINDOW_MS = parseInt(process.env.P2P_VELOCITY_WINDOW_MS || String(HOUR_MS), 10);
+const VELOCITY_MAX_COMMANDS = parseInt(process.env.P2P_VELOCITY_MAX_COMMANDS || '10', 10);
+const VELOCITY_MAX_RECIPIENTS = parseInt(process.env.P2P_VELOCITY_MAX_RECIPIENTS || '15', 10);
+
+/**
+ * Global limits with a sender's own (lower) settings applied
+ * @param {object|null} settings - monibot_sender_limits row
+ */
+export function effectiveLimits(settings) {
+  const limits = { ...GLOBAL_LIMITS };
+  for (const name of ['max_per_tx', 'max_per_day', 'max_recipients', 'confirm_above']) {
+    const own = settings?.[name];
+    if (own === null || own === undefined) continue;
+    if (limits[name] === null || Number(own) < limits[name]) limits[name] = Number(own);
+  }
+  return limits;
+}
+
+// Evaluated in order; the first failure is reported
+const RULES = [
+  {
+    name: 'max_recipients',
+    code: 'RECIPIENT_LIMIT_EXCEEDED',
+    check: ({ parsed, limits }) =>
+      parsed.recipients.length > limits.max_recipients
+        ? `${parsed.recipients.length} recipients (max ${limits.max_recipients})`
+        : null,
+  },
+  {
+    name: 'max_per_tx',
+    code: 'TX_LIMIT_EXCEEDED',
+    check: ({ parsed, limits }) =>
+      parsed.total > limits.max_per_tx ? `${parsed.total} in one command (max ${limits.max_per_tx})` : null,
+  },
+  {
+    name: 'max_per_day',
+    code: 'DAILY_LIMIT_EXCEEDED',
+    check: ({ parsed, limits, spent24h }) =>
+      spent24h + parsed.total > limits.max_per_day
+        ? `${spent24h} sent in the last 24h + ${parsed.total} (max ${limits.max_per_day})`
+        : null,
+  },
+  {
+    name: 'velocity',
+    code: 'VELOCITY_FLAGGED',
+    check: ({ parsed, history }) => {
+      const since = Date.now() - VELOCITY_WINDOW_MS;
+      const recent = history.filter(row => Date.parse(row.created_at) >= since);
+      const minutes = Math.round(VELOCITY_WINDOW_MS / 60000);
+
+      const commands = new Set(recent.map(row => row.tweet_id)).size + 1;
+      if (commands > VELOCITY_MAX_COMMANDS) return `${commands} commands in ${minutes}min (max ${VELOCITY_MAX_COMMANDS})`;
+
+      const recipients = new Set([
+        ...recent.flatMap(row => (row.recipient_pay_tag || '').split(',')).filter(Boolean).map(tag => tag.toLowerCase()),
+        ...parsed.recipients.map(r => r.tag.toLowerCase()),
+      ]).size;
+      return recipients > VELOCITY_MAX_RECIPIENTS
+        ? `${recipients} distinct recipients in ${minutes}min (max ${VELOCITY_MAX_RECIPIENTS})`
+        : null;
+    },
+  },
+];
+
+/**
+ * Rows that were sent: counted towards the daily total, or broadcast and reverted.
+ * Pre-chain rejections never carry a tx hash.
+ */
+function attemptedRows(history, countedStatuses) {
+  return history.filter(
+    row => (countedStatuses.includes(row.status) && !row.error_code) || (row.status === 'failed' && row.tx_hash?.startsWith('0x'))
+  );
+}
+
+/**
+ * Check a P2P command against the sender's limits.
+ * @param {object} ctx - { parsed, settings, history, token } where history is the sender's
+ *   p2p_command rows from the last LIMIT_WINDOW_MS ({ tweet_id, amount, token, status, error_code,
+ *   tx_hash, recipient_pay_tag, created_at }) and token the symbol the command pays in
+ * @param {string[]} [countedStatuses] - row statuses that count towards the daily total
+ * @returns {{ allowed: boolean, rule?: string, code?: string, reason?: string, confirm?: string|null, spent_24h: number, limits: object }}
+ *   the decision, stored as monibot_transactions.limit_decision. An allowed command
+ *   above confirm_above carries the reason it needs the sender's confirmation.
+ */
+export function evaluateSpendingLimits({ parsed, settings, history, token }, countedStatuses = ['completed']) {
+  const limits = effectiveLimits(settings);
+  const attempted = attemptedRows(history, countedStatuses);
+  // Amounts in different tokens don't add up; each token has its own daily total
+  const spent = attempted
+    .filter(row => countedStatuses.includes(row.status) && row.token === token)
+    .reduce((sum, row) => sum + Number(row.amount || 0), 0);
+  const spent24h = Math.round(spent * 1e6) / 1e6;
+  const ctx = { parsed, limits, history: attempted, spent24h };
+
+  for (const rule of RULES) {
+    const reason = rule.check(ctx);
+    if (reason) return { allowed: false, rule: rule.name, code: rule.code, reason, spent_24h: spent24h, limits };
+  }
+
+  const confirm =
+    limits.confirm_above !== null && parsed.total > limits.confirm_above
+      ? `${parsed.total} is above the confirmation threshold of ${limits.confirm_above}`
+      : null;
+  return { allowed: true, confirm, spent_24h: spent24h, limits };
+}
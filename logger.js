@@ -0,0 +1,64 @@
+/**
+ * Tempo Worker Logging
+ *
+ * Importing this module turns console.log / warn / error into one JSON line
+ * per call: {"ts","level","msg", ...context}. The context carries a
+ * correlation_id (the tweet being handled) and, inside a payout, its
+ * job_key; it is set with withLogContext() where a tweet enters the worker
+ * and follows the async call chain across modules.
+ *
+ * Payout and job events go through log.info / warn / error(event, fields)
+ * instead, so fields like amount, tx_hash, job_key and error_code are keys
+ * of the JSON line rather than words in msg.
+ *
+ * LOG_FORMAT=pretty keeps the plain console output for local runs.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { format } from 'node:util';
+
+const LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with extra fields on every log line it (and anything it awaits) writes
+ */
+export function withLogContext(fields, fn) {
+  if (!fields) return fn();
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function write(level, msg, fields) {
+  const stream = level === 'info' ? process.stdout : process.stderr;
+  const line = { ts: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+  stream.write(JSON.stringify(line, (_, value) => (typeof value === 'bigint' ? value.toString() : value)) + '\n');
+}
+
+function install() {
+  const levels = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(levels)) {
+    console[method] = (...args) => {
+      const msg = format(...args).trim();
+      if (msg) write(level, msg);
+    };
+  }
+}
+
+/**
+ * Log a named event with structured fields. Fields left undefined or null
+ * are dropped; in pretty mode they are printed as key=value after the event.
+ * @example log.info('job.submitted', { job_key, tx_hash })
+ */
+export const log = Object.fromEntries(
+  ['info', 'warn', 'error'].map(level => [
+    level,
+    (event, fields = {}) => {
+      const present = Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+      if (LOG_FORMAT === 'json') return write(level, event, present);
+      const pairs = Object.entries(present).map(([key, value]) => `${key}=${value}`);
+      console[level === 'info' ? 'log' : level]([event, ...pairs].join(' '));
+    },
+  ])
+);
+
+if (LOG_FORMAT === 'json') install();
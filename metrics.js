@@ -0,0 +1,192 @@
+/**
+ * Tempo Worker Metrics
+ *
+ * Small in-process Prometheus registry (counters, gauges, histograms with
+ * labels) rendered in the text exposition format for GET /metrics, plus the
+ * worker's own metrics and the helpers modules use to feed them.
+ */
+
+import { findToken } from './tokens.js';
+
+const registry = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).filter(([, v]) => v !== undefined && v !== null).sort());
+}
+
+function renderLabels(entries) {
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  entry(labels) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels: JSON.parse(key), value: 0 });
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) lines.push(`${this.name}${renderLabels(labels)} ${value}`);
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = buckets;
+  }
+
+  entry(labels) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: JSON.parse(key), counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  observe(labels, seconds) {
+    const series = this.entry(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  /**
+   * @returns end(extraLabels) that records the seconds elapsed since the call
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extra = {}) => this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${renderLabels([...labels, ['le', bound]])} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${renderLabels([...labels, ['le', '+Inf']])} ${count}`);
+      lines.push(`${this.name}_sum${renderLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${renderLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export function renderMetrics() {
+  return registry.map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+// ============ Worker Metrics ============
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const payouts = new Counter('monibot_payouts_total', 'Grant and P2P rows recorded, by type, status and error code');
+const volume = new Counter('monibot_payout_volume_total', 'Gross amount of completed payouts, in token units');
+const fees = new Counter('monibot_payout_fees_total', 'Fees charged on completed payouts, in token units');
+const twitterLatency = new Histogram('monibot_twitter_request_duration_seconds', 'Twitter API call latency', LATENCY_BUCKETS);
+const rpcLatency = new Histogram('monibot_rpc_request_duration_seconds', 'Tempo RPC request latency', LATENCY_BUCKETS);
+const cycleDuration = new Histogram('monibot_cycle_duration_seconds', 'Poll cycle duration', [1, 2.5, 5, 10, 30, 60, 120, 300]);
+const cycles = new Counter('monibot_cycles_total', 'Poll cycles run, by outcome');
+const balances = new Gauge('monibot_balance', 'Token balance of the executor, sponsor and router');
+
+/**
+ * Count a monibot_transactions row as it is written
+ */
+export function observePayout(row) {
+  payouts.inc({ type: row.type, status: row.status, error_code: row.error_code || 'none', token: row.token });
+  if (row.status !== 'completed') return;
+  volume.inc({ type: row.type, token: row.token }, Number(row.amount) || 0);
+  fees.inc({ type: row.type, token: row.token }, Number(row.fee) || 0);
+}
+
+/**
+ * Time one Twitter API call
+ */
+export async function timeTwitter(operation, fn) {
+  const end = twitterLatency.startTimer({ operation });
+  try {
+    const result = await fn();
+    end({ outcome: 'ok' });
+    return result;
+  } catch (error) {
+    end({ outcome: 'error' });
+    throw error;
+  }
+}
+
+/**
+ * Wrap a viem transport so every RPC request is timed by method
+ */
+export function timedTransport(transport) {
+  return config => {
+    const inner = transport(config);
+    return {
+      ...inner,
+      request: async args => {
+        const end = rpcLatency.startTimer({ method: args.method });
+        try {
+          const result = await inner.request(args);
+          end({ outcome: 'ok' });
+          return result;
+        } catch (error) {
+          end({ outcome: 'error' });
+          throw error;
+        }
+      },
+    };
+  };
+}
+
+export function observeCycle(seconds, ok) {
+  cycleDuration.observe({}, seconds);
+  cycles.inc({ outcome: ok ? 'ok' : 'error' });
+}
+
+/**
+ * Record a blockchain.getOperatorBalances() snapshot
+ */
+export function setBalances({ executor, sponsor, router }) {
+  for (const [token, balance] of Object.entries(executor.balances)) {
+    balances.set({ account: 'executor', token }, Number(balance));
+  }
+  if (sponsor.balance !== null) {
+    const token = findToken(sponsor.feeToken)?.symbol || sponsor.feeToken;
+    balances.set({ account: 'sponsor', token }, Number(sponsor.balance));
+  }
+  if (router) balances.set({ account: 'router', token: router.token }, Number(router.balance));
+}
@@ -0,0 +1,139 @@
+/**
+ * Tempo Worker Network Profiles
+ *
+ * One profile per network the worker can target: chain, RPC, explorer,
+ * router and treasury addresses. The profile is picked with TEMPO_NETWORK
+ * (testnet | mainnet | devnet, default testnet) or a JSON config file named
+ * by TEMPO_NETWORK_CONFIG, e.g.
+ *   {"network":"devnet","rpcUrl":"http://localhost:8545","monibotRouter":"0x...",
+ *    "monipayRouter":"0x...","treasury":"0x..."}
+ * Config file fields override the named profile; TEMPO_RPC_URL,
+ * MONIBOT_ROUTER_ADDRESS, MONIPAY_ROUTER_ADDRESS and TREASURY_ADDRESS
+ * override both. rpcUrl may list several endpoints, comma-separated (or
+ * rpcUrls as an array in the file); later ones are fallbacks.
+ *
+ * The profile is checked for completeness when loaded, and verifyNetwork()
+ * checks it against the live RPC (chain ID, router code) at startup.
+ */
+
+import { readFileSync } from 'node:fs';
+import { isAddress } from 'viem';
+import { tempoModerato, tempoMainnet, tempoLocalnet } from 'viem/chains';
+
+const PROFILES = {
+  testnet: {
+    chain: tempoModerato,
+    name: 'Tempo Testnet',
+    rpcUrl: 'https://rpc.moderato.tempo.xyz',
+    explorerUrl: 'https://explore.tempo.xyz',
+    monibotRouter: '0x78A824fDE7Ee3E69B2e2Ee52d1136EECD76749fc',
+    monipayRouter: '0xa39C3B7e02686cf7F226337525515c694318BDb9',
+    treasury: '0xDC9B47551734bE984D7Aa2a365251E002f8FF2D7',
+  },
+  // Routers are not deployed on mainnet yet; addresses must come from config
+  mainnet: {
+    chain: tempoMainnet,
+    name: 'Tempo Mainnet',
+    rpcUrl: 'https://rpc.tempo.xyz',
+    explorerUrl: 'https://explore.tempo.xyz',
+    monibotRouter: null,
+    monipayRouter: null,
+    treasury: null,
+  },
+  // Local node; deploy the routers and pass their addresses in
+  devnet: {
+    chain: tempoLocalnet,
+    name: 'Tempo Devnet (local)',
+    rpcUrl: 'http://localhost:8545',
+    explorerUrl: null,
+    monibotRouter: null,
+    monipayRouter: null,
+    treasury: null,
+  },
+};
+
+const ADDRESS_FIELDS = ['monibotRouter', 'monipayRouter', 'treasury'];
+
+function readConfigFile(path) {
+  if (!path) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read TEMPO_NETWORK_CONFIG "${path}": ${e.message}`);
+  }
+}
+
+function loadNetwork() {
+  const file = readConfigFile(process.env.TEMPO_NETWORK_CONFIG);
+  const key = process.env.TEMPO_NETWORK || file.network || 'testnet';
+  const base = PROFILES[key];
+  if (!base) throw new Error(`Unknown network "${key}" (expected ${Object.keys(PROFILES).join(', ')})`);
+
+  const fromEnv = {
+    rpcUrl: process.env.TEMPO_RPC_URL,
+    monibotRouter: process.env.MONIBOT_ROUTER_ADDRESS,
+    monipayRouter: process.env.MONIPAY_ROUTER_ADDRESS,
+    treasury: process.env.TREASURY_ADDRESS,
+  };
+  if (Array.isArray(file.rpcUrls)) file.rpcUrl = file.rpcUrls.join(',');
+
+  const profile = { ...base };
+  for (const source of [file, fromEnv]) {
+    for (const field of ['name', 'rpcUrl', 'explorerUrl', 'chainId', ...ADDRESS_FIELDS]) {
+      if (source[field]) profile[field] = source[field];
+    }
+  }
+
+  const rpcUrls = (profile.rpcUrl || '').split(',').map(url => url.trim()).filter(Boolean);
+
+  const problems = [];
+  if (!rpcUrls.length) problems.push('rpcUrl is not set');
+  for (const field of ADDRESS_FIELDS) {
+    if (!profile[field]) problems.push(`${field} is not set`);
+    else if (!isAddress(profile[field])) problems.push(`${field} "${profile[field]}" is not an address`);
+  }
+  if (problems.length) throw new Error(`Network profile "${key}" is incomplete: ${problems.join('; ')}`);
+
+  // Spread the viem chain to keep the Tempo (0x76) serializer and formatters
+  const chain = {
+    ...base.chain,
+    id: profile.chainId ? Number(profile.chainId) : base.chain.id,
+    name: profile.name,
+    rpcUrls: { default: { http: rpcUrls } },
+    blockExplorers: profile.explorerUrl
+      ? { default: { name: 'Tempo Explorer', url: profile.explorerUrl } }
+      : undefined,
+  };
+
+  return {
+    key,
+    chain,
+    rpcUrls,
+    monibotRouter: profile.monibotRouter,
+    monipayRouter: profile.monipayRouter,
+    treasury: profile.treasury,
+  };
+}
+
+export const NETWORK = loadNetwork();
+
+/**
+ * Check the RPC serves the profile's chain and both routers have code there
+ * @returns {Promise<string[]>} problems found (empty when the network checks out)
+ */
+export async function verifyNetwork(publicClient) {
+  const problems = [];
+
+  const chainId = await publicClient.getChainId();
+  if (chainId !== NETWORK.chain.id) {
+    problems.push(`RPC ${NETWORK.rpcUrls.join(', ')} is chain ${chainId}, profile "${NETWORK.key}" expects ${NETWORK.chain.id}`);
+    return problems;
+  }
+
+  for (const [label, address] of [['MoniBotRouter', NETWORK.monibotRouter], ['MoniPayRouter', NETWORK.monipayRouter]]) {
+    const code = await publicClient.getCode({ address });
+    if (!code || code === '0x') problems.push(`${label} ${address} has no code on chain ${chainId}`);
+  }
+
+  return problems;
+}
@@ -2,17 +2,31 @@
  * Tempo Worker - P2P Command Processor
  * 
  * Polls Twitter for "@monibot send/pay ... on tempo" commands.
- * Executes AlphaUSD transfers with fee sponsorship.
+ * Executes payments from the sender's wallet (AlphaUSD via MoniBotRouter.executeP2P).
  */
 
 import { getTwitterClient } from './twitter.js';
-import { executeTransfer, getAlphaUsdBalance } from './blockchain.js';
-import { createClient } from '@supabase/supabase-js';
+import { getTokenBalance, getSpendAllowance, DRY_RUN } from './blockchain.js';
+import { enqueueJob, runJobs, registerJobHandler } from './jobs.js';
+import { getCursor, saveCursor, cursorAfter } from './cursors.js';
+import { parseP2PCommand, handlePattern } from './parser.js';
+import { listTokens, resolveToken } from './tokens.js';
+import { timeTwitter } from './metrics.js';
+import { insertTransaction } from './transactions.js';
+import { withLogContext } from './logger.js';
+import { evaluateSpendingLimits, LIMIT_WINDOW_MS } from './limits.js';
+import { confirmationReasons, holdForConfirmation } from './confirmations.js';
+import { ESCROW_ENABLED, escrowAddress, openEscrow } from './escrow.js';
 
 let supabase = null;
-let lastProcessedTweetId = null;
+
+const P2P_CURSOR_KEY = 'p2p';
 
 const MONIBOT_PROFILE_ID = process.env.MONIBOT_PROFILE_ID;
+const MAX_TWEET_ATTEMPTS = 3;
+
+// Tweets that threw mid-processing, by ID: searched again until MAX_TWEET_ATTEMPTS
+const tweetAttempts = new Map();
 
 export function initP2P(supabaseClient) {
   supabase = supabaseClient;
@@ -21,45 +35,16 @@ export function initP2P(supabaseClient) {
 
 // ============ Tempo Keyword Detection ============
 
-const TEMPO_KEYWORDS = ['on tempo', 'tempo', 'alphausd', 'αusd'];
+const TEMPO_KEYWORDS = ['on tempo', 'tempo', ...listTokens().flatMap(t => t.aliases)];
+
+// Single-word ASCII aliases are usable as search terms
+const SEARCH_KEYWORDS = ['tempo', ...listTokens().flatMap(t => t.aliases).filter(a => /^[a-z0-9]+$/.test(a))];
 
 function isTempoRelated(text) {
   const lower = text.toLowerCase();
   return TEMPO_KEYWORDS.some(kw => lower.includes(kw));
 }
 
-// ============ Parse P2P Command ============
-
-/**
- * Parses commands like:
- * "@monibot send $5 to @alice on tempo"
- * "@monibot pay @bob $10 on tempo"
- * "@monibot send $1 each to @alice, @bob on tempo"
- */
-function parseP2PCommand(text) {
-  const lower = text.toLowerCase();
-  
-  // Extract amount - supports "$5", "$5.50", "5 alphausd"
-  const amountMatch = lower.match(/\$(\d+(?:\.\d+)?)/);
-  if (!amountMatch) return null;
-  
-  const amount = parseFloat(amountMatch[1]);
-  if (isNaN(amount) || amount <= 0 || amount > 10000) return null;
-
-  // Extract recipients (all @mentions except @monibot and @monipay)
-  const mentions = text.match(/@([a-zA-Z0-9_-]+)/g) || [];
-  const recipients = mentions
-    .map(m => m.slice(1).toLowerCase())
-    .filter(m => m !== 'monibot' && m !== 'monipay');
-
-  if (recipients.length === 0) return null;
-
-  // Check if it's "each" (multi-recipient)
-  const isEach = lower.includes('each');
-
-  return { amount, recipients, isEach };
-}
-
 // ============ Poll Twitter for P2P Commands ============
 
 export async function pollP2PCommands() {
@@ -74,9 +59,11 @@ export async function pollP2PCommands() {
   try {
     console.log('💬 [Tempo] Polling for P2P commands...');
 
-    const searchQuery = '@monibot (send OR pay) (tempo OR alphausd) -is:retweet';
+    const searchQuery = `@monibot (send OR pay OR tip OR give OR transfer OR split) (${[...new Set(SEARCH_KEYWORDS)].join(' OR ')}) -is:retweet`;
     console.log(`   Search query: "${searchQuery}"`);
-    if (lastProcessedTweetId) console.log(`   since_id: ${lastProcessedTweetId}`);
+
+    const { sinceId } = await getCursor(P2P_CURSOR_KEY);
+    if (sinceId) console.log(`   since_id: ${sinceId}`);
 
     const searchParams = {
       query: searchQuery,
@@ -86,11 +73,11 @@ export async function pollP2PCommands() {
       expansions: ['author_id'],
     };
 
-    if (lastProcessedTweetId) {
-      searchParams.since_id = lastProcessedTweetId;
+    if (sinceId) {
+      searchParams.since_id = sinceId;
     }
 
-    const mentions = await twitter.v2.search(searchParams);
+    const mentions = await timeTwitter('search_p2p', () => twitter.v2.search(searchParams));
 
     console.log(`   Twitter API response: ${mentions?.data?.data?.length || 0} tweets, meta: ${JSON.stringify(mentions?.data?.meta || {})}`);
 
@@ -100,8 +87,8 @@ export async function pollP2PCommands() {
     }
 
     console.log(`🔎 Found ${mentions.data.data.length} potential Tempo commands.`);
-    lastProcessedTweetId = mentions.data.meta?.newest_id || lastProcessedTweetId;
 
+    const failedIds = [];
     for (const tweet of mentions.data.data) {
       const author = mentions.includes?.users?.find(u => u.id === tweet.author_id);
       if (!author) continue;
@@ -109,13 +96,21 @@ export async function pollP2PCommands() {
       // Must contain Tempo keyword
       if (!isTempoRelated(tweet.text)) continue;
 
-      try {
-        const result = await processP2PCommand(tweet, author);
-        if (result) processed++;
-      } catch (err) {
-        console.error(`❌ Error processing tweet ${tweet.id}:`, err.message);
-      }
+      await withLogContext({ correlation_id: tweet.id }, async () => {
+        try {
+          const result = await processP2PCommand(tweet, author);
+          if (result) processed++;
+          tweetAttempts.delete(tweet.id);
+        } catch (err) {
+          console.error(`❌ Error processing tweet ${tweet.id}:`, err.message);
+          if (!(await giveUpOnTweet(tweet, author, err))) failedIds.push(tweet.id);
+        }
+      });
     }
+
+    // Advance only after the batch is handled, and never past a tweet that hit an
+    // error before any row or job was written; the job queue covers a crash mid-batch
+    await saveCursor(P2P_CURSOR_KEY, { sinceId: cursorAfter(mentions.data.data, failedIds, mentions.data.meta?.newest_id) });
   } catch (error) {
     console.error('❌ Error polling P2P commands:', error.message);
   }
@@ -125,155 +120,349 @@ export async function pollP2PCommands() {
 
 // ============ Process Single P2P Command ============
 
-async function processP2PCommand(tweet, author) {
-  // Check if already processed
-  const { data: existing } = await supabase
+/**
+ * Check, hold or pay one command tweet
+ * @param {object} [options] - confirmed: the sender already confirmed it (see confirmations.js)
+ * @returns true if at least one recipient was paid
+ */
+export async function processP2PCommand(tweet, author, { confirmed = false } = {}) {
+  // Check if already processed (dry-run rows only count while in dry-run)
+  let existingQuery = supabase
     .from('monibot_transactions')
     .select('id')
-    .eq('tweet_id', tweet.id)
-    .limit(1);
+    .eq('tweet_id', tweet.id);
+  if (!DRY_RUN) existingQuery = existingQuery.neq('status', 'simulated');
+  const { data: existing } = await existingQuery.limit(1);
 
   if (existing?.length) return false;
 
-  // Smart Command Detection for quote tweets
-  const isQuote = tweet.referenced_tweets?.some(r => r.type === 'quoted');
-  if (isQuote) {
-    const hasDirectCommand = /(?:send\s+\$?\d|pay\s+@?\w+\s+\$?\d)/i.test(tweet.text);
-    if (!hasDirectCommand) {
-      console.log(`   ⏭️ Quote tweet, not a command. Skipping.`);
-      await logSkip(tweet.id, 'SKIP_QUOTE_NOT_COMMAND', author.username);
-      return false;
-    }
-  }
-
-  // Parse command
+  // Parse command; quote tweets and passing mentions usually aren't commands
   const parsed = parseP2PCommand(tweet.text);
-  if (!parsed) {
-    console.log(`   ⏭️ Could not parse command from @${author.username}: "${tweet.text.substring(0, 60)}"`);
-    await logSkip(tweet.id, 'SKIP_PARSE_FAILED', author.username);
+  if (!parsed.ok) {
+    if (parsed.code === 'NOT_A_COMMAND') {
+      const isQuote = tweet.referenced_tweets?.some(r => r.type === 'quoted');
+      console.log(`   ⏭️ ${isQuote ? 'Quote tweet' : 'Mention'}, not a command (${parsed.reason}). Skipping.`);
+      await logSkip(tweet.id, isQuote ? 'SKIP_QUOTE_NOT_COMMAND' : 'SKIP_NOT_COMMAND', 'NOT_A_COMMAND', author.username);
+    } else {
+      console.log(`   ⏭️ Could not parse command from @${author.username} (${parsed.reason}): "${tweet.text.substring(0, 60)}"`);
+      await logSkip(tweet.id, 'SKIP_PARSE_FAILED', 'PARSE_FAILED', author.username);
+    }
     return false;
   }
 
-  console.log(`\n⚡ [Tempo] P2P from @${author.username}: $${parsed.amount} to ${parsed.recipients.join(', ')}`);
+  const token = resolveToken(parsed.token);
+  const recipientTags = parsed.recipients.map(r => r.tag);
+  console.log(`\n⚡ [Tempo] P2P from @${author.username}: ${parsed.recipients.map(r => `${r.amount} ${token.label} to ${r.tag}`).join(', ')}${parsed.memo ? ` (memo: ${parsed.memo})` : ''}`);
 
-  // Resolve sender profile
+  // Resolve sender profile (X handles are case-insensitive)
   const { data: senderProfile } = await supabase
     .from('profiles')
     .select('id, wallet_address, tempo_address, pay_tag')
-    .eq('x_username', author.username)
-    .single();
+    .ilike('x_username', handlePattern(author.username))
+    .limit(1)
+    .maybeSingle();
 
   if (!senderProfile) {
     console.log(`   ❌ Sender @${author.username} not found`);
-    await logSkip(tweet.id, 'ERROR_SENDER_NOT_FOUND', author.username, parsed.recipients[0]);
+    await logSkip(tweet.id, 'ERROR_SENDER_NOT_FOUND', 'SENDER_NOT_FOUND', author.username, recipientTags[0]);
     return false;
   }
 
+  // Spending limits and velocity, before touching the chain
+  const limitDecision = await checkSpendingLimits(senderProfile, parsed, token);
+  if (!limitDecision.allowed) {
+    console.log(`   🚩 @${author.username} blocked [${limitDecision.rule}]: ${limitDecision.reason}`);
+    await insertTransaction({
+      tweet_id: tweet.id,
+      chain: 'tempo',
+      tx_hash: `skip_limit_${limitDecision.rule}_` + Date.now(),
+      sender_id: senderProfile.id,
+      receiver_id: senderProfile.id,
+      amount: parsed.total,
+      token: token.symbol,
+      fee: 0,
+      type: 'p2p_command',
+      status: DRY_RUN ? 'simulated' : 'skipped',
+      payer_pay_tag: senderProfile.pay_tag,
+      recipient_pay_tag: recipientTags.join(','),
+      error_code: limitDecision.code,
+      error_reason: `[${limitDecision.rule}] ${limitDecision.reason}`,
+      limit_decision: limitDecision,
+      replied: false,
+    });
+    return false;
+  }
+
+  if (!confirmed) {
+    const reasons = await confirmationReasons(senderProfile, parsed, limitDecision);
+    if (reasons.length) {
+      await holdForConfirmation({ tweet, author, senderProfile, parsed, token, reasons, limitDecision });
+      return false;
+    }
+  }
+
   const senderAddress = senderProfile.tempo_address || senderProfile.wallet_address;
 
   // Check sender balance
-  const balance = await getAlphaUsdBalance(senderAddress);
-  const totalNeeded = parsed.amount * parsed.recipients.length;
+  const balance = await getTokenBalance(senderAddress, token.symbol);
+  const totalNeeded = parsed.total;
 
   if (parseFloat(balance) < totalNeeded) {
-    console.log(`   ❌ Insufficient balance: ${balance} αUSD < ${totalNeeded} needed`);
-    await supabase.from('monibot_transactions').insert({
+    console.log(`   ❌ Insufficient balance: ${balance} ${token.label} < ${totalNeeded} needed`);
+    await insertTransaction({
       tweet_id: tweet.id,
       chain: 'tempo',
       tx_hash: 'ERROR_INSUFFICIENT_BALANCE',
       sender_id: senderProfile.id,
       receiver_id: senderProfile.id,
       amount: totalNeeded,
+      token: token.symbol,
       fee: 0,
       type: 'p2p_command',
       status: 'failed',
       payer_pay_tag: senderProfile.pay_tag,
-      recipient_pay_tag: parsed.recipients.join(','),
-      error_reason: `Balance ${balance} < ${totalNeeded} αUSD`,
+      recipient_pay_tag: recipientTags.join(','),
+      error_code: 'INSUFFICIENT_BALANCE',
+      error_reason: `Balance ${balance} < ${totalNeeded} ${token.label}`,
+      limit_decision: limitDecision,
       replied: false,
     });
     return false;
   }
 
-  // Process each recipient
-  let successCount = 0;
-  for (const recipientTag of parsed.recipients) {
-    const { data: recipientProfile } = await supabase
+  // Check sender approval (router, or executor for non-router tokens, pulls funds from sender)
+  const allowance = await getSpendAllowance(senderAddress, token.symbol);
+
+  if (parseFloat(allowance) < totalNeeded) {
+    console.log(`   ❌ Insufficient allowance: ${allowance} ${token.label} < ${totalNeeded} needed`);
+    await insertTransaction({
+      tweet_id: tweet.id,
+      chain: 'tempo',
+      tx_hash: 'ERROR_INSUFFICIENT_ALLOWANCE',
+      sender_id: senderProfile.id,
+      receiver_id: senderProfile.id,
+      amount: totalNeeded,
+      token: token.symbol,
+      fee: 0,
+      type: 'p2p_command',
+      status: 'failed',
+      payer_pay_tag: senderProfile.pay_tag,
+      recipient_pay_tag: recipientTags.join(','),
+      error_code: 'INSUFFICIENT_ALLOWANCE',
+      error_reason: `Allowance ${allowance} < ${totalNeeded} ${token.label}`,
+      limit_decision: limitDecision,
+      replied: false,
+    });
+    return false;
+  }
+
+  // Queue one job per recipient, then send them as one batch
+  const legs = [];
+  for (const [index, { tag: recipientTag, amount }] of parsed.recipients.entries()) {
+    // Pay tags and X handles match ignoring case; a pay tag wins over someone else's handle
+    const pattern = handlePattern(recipientTag);
+    const { data: matches } = await supabase
       .from('profiles')
       .select('id, wallet_address, tempo_address, pay_tag')
-      .or(`pay_tag.eq.${recipientTag},x_username.eq.${recipientTag}`)
-      .single();
+      .or(`pay_tag.ilike.${pattern},x_username.ilike.${pattern}`);
+    const recipientProfile =
+      matches?.find(p => p.pay_tag?.toLowerCase() === recipientTag.toLowerCase()) || matches?.[0] || null;
 
-    if (!recipientProfile) {
+    if (!recipientProfile && !ESCROW_ENABLED) {
       console.log(`   ❌ Recipient @${recipientTag} not found`);
-      await supabase.from('monibot_transactions').insert({
+      await insertTransaction({
         tweet_id: tweet.id,
         chain: 'tempo',
         tx_hash: 'ERROR_RECIPIENT_NOT_FOUND',
         sender_id: senderProfile.id,
         receiver_id: senderProfile.id,
-        amount: parsed.amount,
+        amount,
+        token: token.symbol,
         fee: 0,
         type: 'p2p_command',
         status: 'failed',
         payer_pay_tag: senderProfile.pay_tag,
         recipient_pay_tag: recipientTag,
+        error_code: 'RECIPIENT_NOT_FOUND',
         error_reason: `No profile for @${recipientTag}`,
+        limit_decision: limitDecision,
         replied: false,
       });
       continue;
     }
 
-    const recipientAddress = recipientProfile.tempo_address || recipientProfile.wallet_address;
-
-    try {
-      const result = await executeTransfer(recipientAddress, parsed.amount, `P2P: @${author.username} → @${recipientTag}`);
+    // Someone not on MoniPay yet: their share is held in escrow until they join
+    if (!recipientProfile) console.log(`   💼 Recipient @${recipientTag} not on MoniPay, paying into escrow`);
+    const recipientAddress = recipientProfile
+      ? recipientProfile.tempo_address || recipientProfile.wallet_address
+      : escrowAddress();
+
+    const job = await enqueueJob({
+      key: `p2p:${tweet.id}:${index}`,
+      kind: 'p2p',
+      tweetId: tweet.id,
+      payload: {
+        senderAddress,
+        recipientAddress,
+        amount,
+        token: token.symbol,
+        replayKey: p2pReplayKey(tweet.id, index, parsed.recipients.length),
+        ...(!recipientProfile && { escrowTag: recipientTag }),
+        row: {
+          tweet_id: tweet.id,
+          chain: 'tempo',
+          sender_id: senderProfile.id,
+          receiver_id: recipientProfile?.id || MONIBOT_PROFILE_ID || '00000000-0000-0000-0000-000000000000',
+          type: 'p2p_command',
+          payer_pay_tag: senderProfile.pay_tag,
+          recipient_pay_tag: recipientProfile?.pay_tag || recipientTag,
+          memo: parsed.memo,
+          token: token.symbol,
+          limit_decision: limitDecision,
+        },
+      },
+    });
+    if (job) legs.push({ job, recipientTag });
+  }
 
-      await supabase.from('monibot_transactions').insert({
-        tweet_id: tweet.id,
-        chain: 'tempo',
-        tx_hash: result.txHash,
-        sender_id: senderProfile.id,
-        receiver_id: recipientProfile.id,
-        amount: parseFloat(result.netAmount),
-        fee: parseFloat(result.fee),
-        type: 'p2p_command',
-        status: 'completed',
-        payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: recipientProfile.pay_tag,
-        replied: false,
-      });
+  const results = legs.length ? await runJobs(legs.map(l => l.job)) : [];
 
-      successCount++;
-      console.log(`   ✅ Sent ${result.netAmount} αUSD to @${recipientTag}: ${result.txHash}`);
-    } catch (txError) {
-      console.error(`   ❌ Transfer to @${recipientTag} failed:`, txError.message);
-      await supabase.from('monibot_transactions').insert({
-        tweet_id: tweet.id,
-        chain: 'tempo',
-        tx_hash: 'failed_' + Date.now(),
-        sender_id: senderProfile.id,
-        receiver_id: recipientProfile.id,
-        amount: parsed.amount,
-        fee: 0,
-        type: 'p2p_command',
-        status: 'failed',
-        payer_pay_tag: senderProfile.pay_tag,
-        recipient_pay_tag: recipientProfile.pay_tag,
-        error_reason: txError.message,
-        replied: false,
-      });
-    }
+  let successCount = 0;
+  for (const [i, result] of results.entries()) {
+    if (!result || result.dryRun) continue;
+    successCount++;
+    console.log(`   ✅ Sent ${result.netAmount} ${token.label} to @${legs[i].recipientTag}: ${result.txHash}`);
   }
 
   console.log(`   📊 P2P result: ${successCount}/${parsed.recipients.length} successful`);
   return successCount > 0;
 }
 
+// ============ P2P Jobs ============
+
+registerJobHandler('p2p', {
+  prepare: async payload => ({
+    type: 'p2p',
+    senderAddress: payload.senderAddress,
+    recipientAddress: payload.recipientAddress,
+    amount: payload.amount,
+    token: payload.token,
+    tweetId: payload.replayKey,
+  }),
+  onConfirmed: recordP2P,
+  onFailed: recordP2PFailure,
+});
+
+async function recordP2P(job, result) {
+  const { row } = job.payload;
+
+  // Sender is debited the gross amount; the router splits off the fee
+  await insertTransaction({
+    ...row,
+    tx_hash: result.txHash,
+    amount: parseFloat(result.amount),
+    fee: parseFloat(result.fee),
+    expected_fee: parseFloat(result.expectedFee),
+    fee_mismatch: result.feeMismatch,
+    status: result.dryRun ? 'simulated' : job.payload.escrowTag ? 'escrowed' : 'completed',
+    replied: false,
+  });
+
+  if (result.dryRun) console.log(`   🧪 P2P to @${row.recipient_pay_tag} simulated OK`);
+  else if (job.payload.escrowTag) await openEscrow(job, result);
+}
+
+async function recordP2PFailure(job, decoded) {
+  const { row, amount } = job.payload;
+  console.error(`   ❌ Transfer to @${row.recipient_pay_tag} failed [${decoded.code}]:`, decoded.message);
+
+  await insertTransaction({
+    ...row,
+    tx_hash: job.tx_hash || (decoded.simulated ? 'skip_simulation_' : 'failed_') + Date.now(),
+    amount,
+    fee: 0,
+    status: DRY_RUN ? 'simulated' : decoded.simulated ? 'skipped' : 'failed',
+    error_code: decoded.code,
+    error_reason: decoded.message,
+    replied: false,
+  });
+}
+
 // ============ Helpers ============
 
-async function logSkip(tweetId, txHash, senderTag, recipientTag = null) {
-  await supabase.from('monibot_transactions').insert({
+/**
+ * Load the sender's own limits and last 24h of commands, and check this one
+ * @returns the limits.js decision
+ */
+async function checkSpendingLimits(senderProfile, parsed, token) {
+  const [{ data: settings, error: settingsError }, { data: history, error: historyError }] = await Promise.all([
+    supabase
+      .from('monibot_sender_limits')
+      .select('*')
+      .eq('profile_id', senderProfile.id)
+      .maybeSingle(),
+    supabase
+      .from('monibot_transactions')
+      .select('tweet_id, amount, token, status, error_code, tx_hash, recipient_pay_tag, created_at')
+      .eq('sender_id', senderProfile.id)
+      .eq('type', 'p2p_command')
+      .gte('created_at', new Date(Date.now() - LIMIT_WINDOW_MS).toISOString()),
+  ]);
+  if (settingsError) throw settingsError;
+  if (historyError) throw historyError;
+
+  // Escrowed sends left the sender's wallet too; dry-run sends only count while in dry-run
+  return evaluateSpendingLimits(
+    { parsed, settings, history: history || [], token: token.symbol },
+    DRY_RUN ? ['completed', 'escrowed', 'simulated'] : ['completed', 'escrowed']
+  );
+}
+
+/**
+ * Router replay key for one leg of a command. Single sends use the tweet ID
+ * as-is; multi-recipient legs are suffixed so each leg gets its own slot.
+ */
+function p2pReplayKey(tweetId, index, count) {
+  return count > 1 ? `${tweetId}:${index}` : tweetId;
+}
+
+/**
+ * After MAX_TWEET_ATTEMPTS errors, record the tweet as failed so it gets a
+ * reply and stops holding the cursor back
+ * @returns true if it was given up on
+ */
+async function giveUpOnTweet(tweet, author, err) {
+  const attempts = (tweetAttempts.get(tweet.id) || 0) + 1;
+  tweetAttempts.set(tweet.id, attempts);
+  if (attempts < MAX_TWEET_ATTEMPTS) return false;
+
+  try {
+    await insertTransaction({
+      tweet_id: tweet.id,
+      chain: 'tempo',
+      tx_hash: 'ERROR_PROCESSING_' + Date.now(),
+      sender_id: MONIBOT_PROFILE_ID || '00000000-0000-0000-0000-000000000000',
+      receiver_id: MONIBOT_PROFILE_ID || '00000000-0000-0000-0000-000000000000',
+      amount: 0,
+      fee: 0,
+      type: 'p2p_command',
+      status: DRY_RUN ? 'simulated' : 'failed',
+      error_code: 'UNKNOWN',
+      error_reason: `Gave up after ${attempts} attempts: ${err.message}`,
+      payer_pay_tag: author.username,
+      replied: false,
+    });
+  } catch {
+    return false;
+  }
+
+  tweetAttempts.delete(tweet.id);
+  console.warn(`   ⚠️ Giving up on tweet ${tweet.id} after ${attempts} attempts`);
+  return true;
+}
+
+async function logSkip(tweetId, txHash, errorCode, senderTag, recipientTag = null) {
+  await insertTransaction({
     tweet_id: tweetId,
     chain: 'tempo',
     tx_hash: txHash,
@@ -283,6 +472,7 @@ async function logSkip(tweetId, txHash, senderTag, recipientTag = null) {
     fee: 0,
     type: 'p2p_command',
     status: 'skipped',
+    error_code: errorCode,
     payer_pay_tag: senderTag,
     recipient_pay_tag: recipientTag,
     replied: false,
@@ -0,0 +1,459 @@
+/**
+ * Tempo Worker - P2P Command Grammar
+ *
+ * Tokenizes a tweet and parses the command that follows a bot mention:
+ *
+ *   command    := @monibot [please] verb group (sep group)* trailer*
+ *   verb       := send | pay | tip | give | transfer | split
+ *   group      := amount [qualifier] [to|for|between|among|with] mentions [qualifier]
+ *               | [to] mentions amount [qualifier]
+ *   mentions   := @handle ((, | and | & | +)? @handle)*
+ *   qualifier  := each | apiece | split [evenly|equally] | total | in total
+ *   trailer    := qualifier | (on|via) network | (in|using) token | for <memo> | memo: <memo> | "<memo>"
+ *   amount     := $5 | $5.50 | $1,000 | 5$ | 5 usd | 5 <token alias> | 5
+ *
+ * Read-only commands have their own, flatter grammar (parseQueryCommand):
+ *
+ *   query      := @monibot [filler] (balance | history | status <tweet link> | help) [(on|via) network] [(in) token]
+ *
+ * Token aliases come from the registry (5 betausd, 5 βusd). Plain $ / usd
+ * leave the token unset so the caller applies the default.
+ * Anything after the trailer ("..., thanks @bob") is not part of the command.
+ * Several recipients with one amount get that amount each unless the
+ * command says split / total, which divides it between them.
+ */
+
+import { findToken, listTokens } from './tokens.js';
+
+const BOT_HANDLES = new Set(['monibot', 'monipay']);
+const VERBS = new Set(['send', 'pay', 'tip', 'give', 'transfer', 'split']);
+const FILLER = new Set(['please', 'pls', 'plz', 'kindly', 'can', 'could', 'you', 'u']);
+const RECIPIENT_INTRO = new Set(['to', 'for', 'between', 'among', 'amongst', 'with']);
+const LIST_SEPARATORS = new Set([',', '&', '+', 'and']);
+const TEMPO_NETWORKS = new Set(['tempo']);
+const GENERIC_CURRENCIES = new Set(['usd', 'dollar', 'dollars', 'bucks']);
+const OTHER_NETWORKS = new Set(['base', 'bsc', 'bnb', 'solana', 'sol', 'ethereum', 'eth', 'arbitrum', 'polygon', 'optimism']);
+const QUERY_WORDS = {
+  balance: 'balance', bal: 'balance',
+  history: 'history', activity: 'history', transactions: 'history',
+  status: 'status',
+  help: 'help', commands: 'help',
+};
+const QUERY_FILLER = new Set([...FILLER, 'my', 'show', 'check', 'get', 'me', 'what', 'whats', "what's", 'is', 'the']);
+const TWEET_LINK = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/\w+\/status(?:es)?\/(\d+)/i;
+
+const DECIMALS = 6;
+const UNIT = 10 ** DECIMALS;
+const MAX_AMOUNT = 10000;
+const MAX_MEMO_LENGTH = 100;
+
+// ============ Tokenizer ============
+
+const NUM = String.raw`(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)`;
+// Longest first so "alphausd" wins over "usd"
+const CURRENCY_WORDS = [...GENERIC_CURRENCIES, ...listTokens().flatMap(t => t.aliases)]
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, String.raw`\s?`));
+const CURRENCY = `(${CURRENCY_WORDS.join('|')})`;
+const END = String.raw`(?![\p{L}\p{N}_])`;
+
+// Tried in order at each position; the first match wins
+const TOKEN_RULES = [
+  ['url', /https?:\/\/\S+/iuy],
+  ['mention', /@([A-Za-z0-9_]{1,15})/uy],
+  ['hashtag', /#([\p{L}\p{N}_]+)/uy],
+  ['quoted', /["“]([^"“”]*)["”]/uy],
+  ['amount', new RegExp(String.raw`\$\s?${NUM}(?:\s?${CURRENCY}${END})?`, 'iuy')],
+  ['amount', new RegExp(String.raw`${NUM}\s?\$`, 'iuy')],
+  ['amount', new RegExp(String.raw`${NUM}\s?${CURRENCY}${END}`, 'iuy')],
+  ['number', new RegExp(String.raw`${NUM}${END}`, 'iuy')],
+  ['word', /[\p{L}\p{N}_'’-]+/uy],
+  ['punct', /\S/uy],
+];
+
+/**
+ * Convert "1,000.50" to integer micro-units; null if it has too many decimals
+ */
+function toMicros(raw) {
+  const [whole, fraction = ''] = raw.replace(/,/g, '').split('.');
+  if (fraction.length > DECIMALS) return null;
+  return Number(whole || '0') * UNIT + Number(fraction.padEnd(DECIMALS, '0'));
+}
+
+export function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    const space = /\s+/y;
+    space.lastIndex = pos;
+    if (space.exec(text)) {
+      pos = space.lastIndex;
+      continue;
+    }
+
+    for (const [kind, pattern] of TOKEN_RULES) {
+      pattern.lastIndex = pos;
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const token = { kind, start: pos, end: pattern.lastIndex, raw: match[0] };
+      if (kind === 'mention' || kind === 'hashtag') token.value = match[1].toLowerCase();
+      else if (kind === 'quoted') token.value = match[1].trim();
+      else if (kind === 'amount' || kind === 'number') {
+        token.micros = toMicros(match[1]);
+        token.currency = match[2] ? match[2].toLowerCase().replace(/\s+/g, ' ') : null;
+      }
+      else token.value = match[0].toLowerCase();
+
+      tokens.push(token);
+      pos = token.end;
+      break;
+    }
+  }
+
+  return tokens;
+}
+
+// ============ Parser ============
+
+class ParseFailure extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'ParseFailure';
+  }
+}
+
+function isWord(token, words) {
+  return token?.kind === 'word' && words.has(token.value);
+}
+
+function isAmount(token) {
+  return token?.kind === 'amount' || token?.kind === 'number';
+}
+
+function isBot(token) {
+  return token?.kind === 'mention' && BOT_HANDLES.has(token.value);
+}
+
+function formatMicros(micros) {
+  return (micros / UNIT).toString();
+}
+
+/**
+ * Index of the verb that follows a bot mention, or -1 if the bot is
+ * only mentioned in passing
+ */
+function findVerb(tokens) {
+  for (const [i, token] of tokens.entries()) {
+    if (!isBot(token)) continue;
+
+    let j = i + 1;
+    while (isBot(tokens[j]) || isWord(tokens[j], FILLER) || tokens[j]?.value === ',' || tokens[j]?.value === ':') j++;
+    if (isWord(tokens[j], VERBS)) return j;
+  }
+  return -1;
+}
+
+function createCursor(tokens, start) {
+  return {
+    tokens,
+    i: start,
+    peek(offset = 0) {
+      return tokens[this.i + offset];
+    },
+    next() {
+      return tokens[this.i++];
+    },
+  };
+}
+
+/**
+ * @returns {{ micros: number, token: string|null }} token symbol, null for plain $ / usd
+ */
+function takeAmount(cursor) {
+  const amount = cursor.next();
+  if (amount.micros === null) throw new ParseFailure(`Amount ${amount.raw} has more than ${DECIMALS} decimals`);
+  if (amount.micros <= 0) throw new ParseFailure('Amount must be greater than zero');
+  if (amount.micros > MAX_AMOUNT * UNIT) throw new ParseFailure(`Amount ${amount.raw} is over the ${MAX_AMOUNT} limit`);
+
+  const currency = amount.currency && !GENERIC_CURRENCIES.has(amount.currency) ? findToken(amount.currency) : null;
+  return { micros: amount.micros, token: currency?.symbol || null };
+}
+
+/**
+ * @returns 'each' | 'split' | null
+ */
+function takeQualifier(cursor) {
+  const token = cursor.peek();
+  if (isWord(token, new Set(['each', 'apiece']))) {
+    cursor.next();
+    return 'each';
+  }
+  if (isWord(token, new Set(['split', 'total']))) {
+    cursor.next();
+    if (isWord(cursor.peek(), new Set(['evenly', 'equally']))) cursor.next();
+    return 'split';
+  }
+  if (isWord(token, new Set(['in'])) && isWord(cursor.peek(1), new Set(['total']))) {
+    cursor.i += 2;
+    return 'split';
+  }
+  return null;
+}
+
+function takeMentions(cursor) {
+  const mentions = [];
+  if (cursor.peek()?.kind !== 'mention') return mentions;
+  mentions.push(cursor.next());
+
+  for (;;) {
+    const save = cursor.i;
+    while (LIST_SEPARATORS.has(cursor.peek()?.value)) cursor.next();
+    if (cursor.peek()?.kind !== 'mention') {
+      cursor.i = save;
+      return mentions;
+    }
+    mentions.push(cursor.next());
+  }
+}
+
+function startsGroup(cursor) {
+  const token = cursor.peek();
+  return isAmount(token) || token?.kind === 'mention' || (isWord(token, RECIPIENT_INTRO) && cursor.peek(1)?.kind === 'mention');
+}
+
+/**
+ * One amount with the recipients it applies to
+ * @returns {{ micros: number, token: string|null, mentions: object[], qualifier: string|null } | null}
+ */
+function takeGroup(cursor) {
+  if (isAmount(cursor.peek())) {
+    const amountToken = cursor.peek();
+    const { micros, token } = takeAmount(cursor);
+    let qualifier = takeQualifier(cursor);
+    if (isWord(cursor.peek(), RECIPIENT_INTRO)) cursor.next();
+
+    const mentions = takeMentions(cursor);
+    if (!mentions.length) throw new ParseFailure(`No recipient for ${amountToken.raw}`);
+    qualifier = takeQualifier(cursor) || qualifier;
+
+    // "$5 to @alice, @bob $3": the last mention owns the amount after it
+    if (!qualifier && mentions.length > 1 && isAmount(cursor.peek())) {
+      cursor.i = cursor.tokens.indexOf(mentions.pop());
+    }
+    return { micros, token, mentions, qualifier };
+  }
+
+  if (isWord(cursor.peek(), RECIPIENT_INTRO) && cursor.peek(1)?.kind === 'mention') cursor.next();
+  const mentions = takeMentions(cursor);
+  if (!mentions.length) return null;
+  if (!isAmount(cursor.peek())) throw new ParseFailure(`No amount for ${mentions.map(m => m.raw).join(', ')}`);
+
+  const { micros, token } = takeAmount(cursor);
+  return { micros, token, mentions, qualifier: takeQualifier(cursor) };
+}
+
+function takeGroups(cursor) {
+  const groups = [];
+  for (;;) {
+    const group = takeGroup(cursor);
+    if (!group) break;
+    groups.push(group);
+
+    const save = cursor.i;
+    while (LIST_SEPARATORS.has(cursor.peek()?.value)) cursor.next();
+    if (!startsGroup(cursor)) {
+      cursor.i = save;
+      break;
+    }
+  }
+  return groups;
+}
+
+/**
+ * Memo text runs to the end of the tweet or to a trailing "on tempo" / "in betausd"
+ */
+function takeMemo(cursor, text) {
+  const first = cursor.peek();
+  let last = null;
+  while (cursor.peek() && !startsNetwork(cursor) && !startsToken(cursor) && cursor.peek().kind !== 'url') last = cursor.next();
+  if (!last) return null;
+  return text.slice(first.start, last.end).replace(/[\s.,;:!-]+$/, '').slice(0, MAX_MEMO_LENGTH) || null;
+}
+
+function startsNetwork(cursor) {
+  const token = cursor.peek();
+  const network = cursor.peek(1);
+  if (!isWord(token, new Set(['on', 'via']))) return false;
+  return isWord(network, TEMPO_NETWORKS) || isWord(network, OTHER_NETWORKS);
+}
+
+// "in betausd" / "using βusd"
+function startsToken(cursor) {
+  return isWord(cursor.peek(), new Set(['in', 'using'])) && cursor.peek(1)?.kind === 'word' && !!findToken(cursor.peek(1).value);
+}
+
+/**
+ * Qualifiers, network, token and memo after the recipients, in any order
+ */
+function takeTrailer(cursor, text) {
+  const trailer = { qualifier: null, network: null, token: null, memo: null };
+
+  for (;;) {
+    const save = cursor.i;
+    while (cursor.peek()?.kind === 'punct' && /^[,;:—-]$/.test(cursor.peek().value)) cursor.next();
+    const token = cursor.peek();
+
+    const qualifier = takeQualifier(cursor);
+    if (qualifier) {
+      trailer.qualifier ||= qualifier;
+    } else if (startsNetwork(cursor)) {
+      cursor.next();
+      trailer.network = cursor.next().value;
+    } else if (startsToken(cursor)) {
+      cursor.next();
+      trailer.token = findToken(cursor.next().value).symbol;
+    } else if (token?.kind === 'quoted' && !trailer.memo) {
+      trailer.memo = cursor.next().value.slice(0, MAX_MEMO_LENGTH) || null;
+    } else if (isWord(token, new Set(['memo', 'note', 'for'])) && cursor.peek(1)?.kind !== 'mention' && !trailer.memo) {
+      cursor.next();
+      if (cursor.peek()?.value === ':') cursor.next();
+      if (cursor.peek()?.kind === 'quoted') trailer.memo = cursor.next().value.slice(0, MAX_MEMO_LENGTH) || null;
+      else trailer.memo = takeMemo(cursor, text);
+    } else {
+      cursor.i = save;
+      return trailer;
+    }
+  }
+}
+
+/**
+ * Expand groups into one leg per recipient
+ */
+function buildRecipients(groups) {
+  const recipients = [];
+  const seen = new Set();
+
+  for (const { micros, mentions, qualifier } of groups) {
+    const each = qualifier === 'split' ? Math.floor(micros / mentions.length) : micros;
+    if (each <= 0) throw new ParseFailure(`${formatMicros(micros)} is too small to split ${mentions.length} ways`);
+    if (each > MAX_AMOUNT * UNIT) throw new ParseFailure(`Amount is over the ${MAX_AMOUNT} limit`);
+
+    for (const mention of mentions) {
+      if (BOT_HANDLES.has(mention.value)) throw new ParseFailure(`Cannot pay @${mention.value}`);
+      if (seen.has(mention.value)) throw new ParseFailure(`@${mention.value} is listed more than once`);
+      seen.add(mention.value);
+      // Duplicates and bot handles are checked lowercased; the tag keeps the case it was written in
+      recipients.push({ tag: mention.raw.slice(1), micros: each });
+    }
+  }
+
+  return recipients;
+}
+
+/**
+ * Parse a P2P command tweet.
+ * @returns {{ ok: true, verb: string, mode: 'single'|'each'|'split'|'explicit',
+ *             recipients: { tag: string, amount: number }[], total: number,
+ *             token: string|null, memo: string|null, network: string|null }
+ *         | { ok: false, code: 'NOT_A_COMMAND'|'PARSE_FAILED', reason: string }}
+ */
+export function parseP2PCommand(text) {
+  const tokens = tokenize(text || '');
+
+  const verbIndex = findVerb(tokens);
+  if (verbIndex === -1) {
+    return { ok: false, code: 'NOT_A_COMMAND', reason: 'No send/pay command after the bot mention' };
+  }
+
+  const verb = tokens[verbIndex].value;
+  const cursor = createCursor(tokens, verbIndex + 1);
+
+  try {
+    const groups = takeGroups(cursor);
+    if (!groups.length) throw new ParseFailure(`Nothing to ${verb}: expected an amount and a recipient`);
+
+    const trailer = takeTrailer(cursor, text);
+    if (trailer.network && !TEMPO_NETWORKS.has(trailer.network)) {
+      return { ok: false, code: 'NOT_A_COMMAND', reason: `Command is for ${trailer.network}, not Tempo` };
+    }
+
+    // One token per command; null means the caller's default
+    const named = new Set([...groups.map(g => g.token), trailer.token].filter(Boolean));
+    if (named.size > 1) throw new ParseFailure(`Mixes tokens (${[...named].join(', ')}); send one token per command`);
+
+    // "split" as the verb, or a qualifier after everything, covers groups that set none
+    const fallback = trailer.qualifier || (verb === 'split' ? 'split' : null);
+    for (const group of groups) group.qualifier ||= fallback;
+
+    const recipients = buildRecipients(groups);
+    let mode = 'explicit';
+    if (groups.length === 1) mode = recipients.length === 1 ? 'single' : groups[0].qualifier || 'each';
+
+    return {
+      ok: true,
+      verb,
+      mode,
+      recipients: recipients.map(r => ({ tag: r.tag, amount: r.micros / UNIT })),
+      total: recipients.reduce((sum, r) => sum + r.micros, 0) / UNIT,
+      token: [...named][0] || null,
+      memo: trailer.memo,
+      network: trailer.network,
+    };
+  } catch (error) {
+    if (error instanceof ParseFailure) return { ok: false, code: 'PARSE_FAILED', reason: error.message };
+    throw error;
+  }
+}
+
+// ============ Read-only Commands ============
+
+/**
+ * Parse a read-only command tweet ("@monibot balance on tempo", "@monibot status <link>").
+ * Handles and amounts in the tweet are ignored: a query is always about its author.
+ * @returns {{ ok: true, command: 'balance'|'history'|'status'|'help', token: string|null, tweetId: string|null }
+ *         | { ok: false, code: 'NOT_A_COMMAND', reason: string }}
+ *         tweetId is the status command's target, null if no link was given
+ */
+export function parseQueryCommand(text) {
+  const tokens = tokenize(text || '');
+
+  let index = -1;
+  for (const [i, token] of tokens.entries()) {
+    if (!isBot(token)) continue;
+    let j = i + 1;
+    while (isBot(tokens[j]) || isWord(tokens[j], QUERY_FILLER) || tokens[j]?.value === ',' || tokens[j]?.value === ':') j++;
+    if (tokens[j]?.kind === 'word' && QUERY_WORDS[tokens[j].value]) {
+      index = j;
+      break;
+    }
+  }
+  if (index === -1) return { ok: false, code: 'NOT_A_COMMAND', reason: 'No read-only command after the bot mention' };
+
+  const command = QUERY_WORDS[tokens[index].value];
+  let token = null;
+  let tweetId = null;
+
+  for (const [i, t] of tokens.slice(index + 1).entries()) {
+    const prev = tokens[index + i];
+    if (isWord(prev, new Set(['on', 'via'])) && isWord(t, OTHER_NETWORKS)) {
+      return { ok: false, code: 'NOT_A_COMMAND', reason: `Command is for ${t.value}, not Tempo` };
+    }
+    if (t.kind === 'word' && !token) token = findToken(t.value)?.symbol || null;
+    if (command === 'status' && !tweetId) {
+      if (t.kind === 'url') tweetId = t.raw.match(TWEET_LINK)?.[1] || null;
+      else if (t.kind === 'number' && /^\d{10,20}$/.test(t.raw)) tweetId = t.raw;
+    }
+  }
+
+  return { ok: true, command, token, tweetId };
+}
+
+/**
+ * ILIKE pattern that matches an X handle exactly, ignoring case.
+ * X handles are case-insensitive, and "_" is a LIKE wildcard unless escaped.
+ */
+export function handlePattern(tag) {
+  return tag.replace(/^@/, '').replace(/_/g, '\\_');
+}
@@ -0,0 +1,418 @@
+/**
+ * Tempo Worker Read-only Commands
+ *
+ * Answers "@monibot balance on tempo", "@monibot history",
+ * "@monibot status <tweet link>" and "@monibot help" with a reply. A query
+ * is always about its author, resolved to a profile by x_username like a
+ * P2P sender. Each author gets QUERY_RATE_LIMIT answered queries per
+ * QUERY_RATE_WINDOW_MS; more are recorded as rate_limited and left
+ * unanswered. How much of a balance is shown publicly is BALANCE_DISCLOSURE
+ * unless the user chose otherwise in monibot_privacy_settings:
+ *   exact  - "12.5 αUSD"
+ *   range  - "10-100 αUSD"
+ *   hidden - no figures (history then lists counterparties only)
+ * History amounts are shown the same way.
+ *
+ * Intake only records the query; its answer is worked out when the reply is
+ * posted, so a reply held back by the reply rate limit still shows the
+ * balance or payment status as it is then.
+ *
+ * pending → replied | failed, or rate_limited
+ */
+
+import { getTwitterClient } from './twitter.js';
+import { getTokenBalance, DRY_RUN } from './blockchain.js';
+import { getCursor, saveCursor, cursorAfter } from './cursors.js';
+import { parseQueryCommand, handlePattern } from './parser.js';
+import { DEFAULT_TOKEN, listTokens, resolveToken, tokenLabel } from './tokens.js';
+import { buildReply, postStandaloneReply } from './replies.js';
+import { timeTwitter } from './metrics.js';
+import { withLogContext } from './logger.js';
+
+const QUERY_RATE_LIMIT = parseInt(process.env.QUERY_RATE_LIMIT || '5', 10);
+const QUERY_RATE_WINDOW_MS = parseInt(process.env.QUERY_RATE_WINDOW_MS || String(60 * 60 * 1000), 10);
+const BALANCE_DISCLOSURE = process.env.BALANCE_DISCLOSURE || 'range';
+const QUERY_REPLY_BATCH = parseInt(process.env.QUERY_REPLY_BATCH || '10', 10);
+const HISTORY_SIZE = 5;
+const MAX_REPLY_ATTEMPTS = 3;
+const MAX_TWEET_ATTEMPTS = 3;
+const TWEET_LIMIT = 280;
+
+const QUERY_CURSOR_KEY = 'query';
+
+// Query tweets that threw at intake, by ID: searched again until MAX_TWEET_ATTEMPTS
+const tweetAttempts = new Map();
+
+const HELP_TEXT = [
+  'MoniBot on Tempo:',
+  '• @monibot send $5 to @user on tempo',
+  '• @monibot balance on tempo',
+  '• @monibot history',
+  '• @monibot status <tweet link>',
+  'Link your X account in the MoniPay app to get started.',
+].join('\n');
+const NO_PROFILE_TEXT = 'Link your X account in the MoniPay app first, then ask me again.';
+
+let supabase = null;
+
+export function initQueries(supabaseClient) {
+  supabase = supabaseClient;
+  if (!['exact', 'range', 'hidden'].includes(BALANCE_DISCLOSURE)) {
+    throw new Error(`BALANCE_DISCLOSURE must be exact, range or hidden (got "${BALANCE_DISCLOSURE}")`);
+  }
+  console.log(`✅ Read-only commands initialized (${QUERY_RATE_LIMIT} per ${QUERY_RATE_WINDOW_MS / 60000}min, balances ${BALANCE_DISCLOSURE})`);
+}
+
+// ============ Answers ============
+
+function formatAmount(value) {
+  return Number(value).toFixed(6).replace(/\.?0+$/, '');
+}
+
+// "10-100" style bucket, so a public reply doesn't give the exact figure
+function balanceRange(value) {
+  const amount = Number(value);
+  if (amount === 0) return '0';
+  if (amount < 1) return 'under 1';
+  if (amount >= 10000) return 'over 10,000';
+  const low = 10 ** Math.floor(Math.log10(amount));
+  return `${low.toLocaleString('en-US')}-${(low * 10).toLocaleString('en-US')}`;
+}
+
+function fitTweet(lines) {
+  let text = lines.join('\n');
+  if (text.length > TWEET_LIMIT) text = text.slice(0, TWEET_LIMIT - 1) + '…';
+  return text;
+}
+
+async function balanceDisclosure(profile) {
+  const { data } = await supabase
+    .from('monibot_privacy_settings')
+    .select('balance_disclosure')
+    .eq('profile_id', profile.id)
+    .maybeSingle();
+  return data?.balance_disclosure || BALANCE_DISCLOSURE;
+}
+
+/**
+ * The named token, or the default token plus any other the user holds
+ */
+async function answerBalance(profile, parsed, disclosure) {
+  if (disclosure === 'hidden') return '🔒 Balance replies are off for your account. Check your balance in the MoniPay app.';
+
+  const address = profile.tempo_address || profile.wallet_address;
+  const tokens = parsed.token ? [resolveToken(parsed.token)] : listTokens();
+  const balances = await Promise.all(tokens.map(async token => ({ token, balance: await getTokenBalance(address, token.symbol) })));
+  const shown = balances.filter(({ token, balance }) => parsed.token || token === DEFAULT_TOKEN || Number(balance) > 0);
+
+  const figures = shown.map(({ token, balance }) =>
+    `${disclosure === 'exact' ? formatAmount(balance) : balanceRange(balance)} ${token.label}`
+  );
+  return `💰 Your balance on Tempo: ${figures.join(', ')}`;
+}
+
+// Amounts follow the same disclosure as balances
+function historyLine(row, profile, disclosure) {
+  const sent = row.sender_id === profile.id && row.type === 'p2p_command';
+  const amount = sent ? Number(row.amount) : Number(row.amount) - Number(row.fee || 0);
+  const shown = disclosure === 'exact' ? formatAmount(amount) : balanceRange(amount);
+  const figure = disclosure === 'hidden' ? '' : `${shown} ${tokenLabel(row.token)} `;
+  const day = new Date(row.created_at).toISOString().slice(0, 10);
+
+  if (row.type === 'grant') return `🎁 ${day} ${figure}grant`;
+  if (row.type === 'escrow_claim') return `🎁 ${day} ${figure}claimed from @${row.payer_pay_tag}`;
+  if (row.type === 'escrow_refund') return `↩️ ${day} ${figure}refunded, unclaimed by @${row.recipient_pay_tag}`;
+  if (sent) return `↗️ ${day} ${figure}to @${row.recipient_pay_tag}${row.status === 'escrowed' ? ' (in escrow)' : ''}`;
+  return `↘️ ${day} ${figure}from @${row.payer_pay_tag}`;
+}
+
+async function answerHistory(profile, disclosure) {
+  const { data: rows, error } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('chain', 'tempo')
+    .or(`sender_id.eq.${profile.id},receiver_id.eq.${profile.id}`)
+    .in('status', ['completed', 'escrowed'])
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_SIZE * 2);
+  if (error) throw error;
+
+  // A claim is the sender's escrowed send seen from the recipient's side
+  const own = (rows || [])
+    .filter(row => !(row.type === 'escrow_claim' && row.receiver_id !== profile.id))
+    .slice(0, HISTORY_SIZE);
+  if (!own.length) return '📜 No MoniBot payments on Tempo yet.';
+
+  return fitTweet([`📜 Your last ${own.length} MoniBot payment(s) on Tempo:`, ...own.map(row => historyLine(row, profile, disclosure))]);
+}
+
+/**
+ * Where the payment from a command tweet stands. Only its sender or a
+ * recipient gets an answer; for anyone else it looks like no payment.
+ */
+async function answerStatus(profile, parsed) {
+  if (!parsed.tweetId) return 'Which payment? Reply with its link: @monibot status <tweet link>';
+  const notFound = "🔎 I couldn't find a payment of yours from that tweet.";
+
+  const { data: pending } = await supabase
+    .from('monibot_pending_commands')
+    .select('status, expires_at')
+    .eq('tweet_id', parsed.tweetId)
+    .eq('sender_id', profile.id)
+    .maybeSingle();
+  if (pending?.status === 'pending') {
+    return `⏳ Waiting for your confirmation until ${new Date(pending.expires_at).toISOString().slice(11, 16)} UTC: reply "confirm" to my prompt.`;
+  }
+
+  const { data: jobs } = await supabase
+    .from('monibot_jobs')
+    .select('payload')
+    .eq('tweet_id', parsed.tweetId)
+    .in('status', ['pending', 'submitted']);
+  const inFlight = (jobs || []).filter(job =>
+    [job.payload?.row?.sender_id, job.payload?.row?.receiver_id].includes(profile.id)
+  );
+  if (inFlight.length || pending?.status === 'confirmed') return '⏳ That payment is being sent right now. Check back in a minute.';
+
+  const { data: rows } = await supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('tweet_id', parsed.tweetId)
+    .neq('status', 'simulated');
+  const isSender = (rows || []).some(row => row.sender_id === profile.id);
+  const mine = (rows || []).filter(row => isSender || row.receiver_id === profile.id);
+  if (!mine.length) return notFound;
+
+  return buildReply(mine) || notFound;
+}
+
+/**
+ * Build the reply for one parsed query from one author
+ */
+async function answerQuery(parsed, author) {
+  if (parsed.command === 'help') return { text: HELP_TEXT, profile: null };
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, wallet_address, tempo_address, pay_tag')
+    .ilike('x_username', handlePattern(author.username))
+    .limit(1)
+    .maybeSingle();
+  if (!profile) return { text: NO_PROFILE_TEXT, profile: null };
+
+  if (parsed.command === 'status') return { text: await answerStatus(profile, parsed), profile };
+  const disclosure = await balanceDisclosure(profile);
+  const text = parsed.command === 'balance'
+    ? await answerBalance(profile, parsed, disclosure)
+    : await answerHistory(profile, disclosure);
+  return { text, profile };
+}
+
+// ============ Intake ============
+
+async function isRateLimited(authorId) {
+  const { data, error } = await supabase
+    .from('monibot_query_commands')
+    .select('id')
+    .eq('author_id', authorId)
+    .neq('status', 'rate_limited')
+    .gte('created_at', new Date(Date.now() - QUERY_RATE_WINDOW_MS).toISOString());
+  if (error) throw error;
+  return (data?.length || 0) >= QUERY_RATE_LIMIT;
+}
+
+/**
+ * Record one query tweet for the reply pass to answer
+ * @returns true if it was queued for a reply
+ */
+async function takeQuery(tweet, author, parsed) {
+  // Dry-run rows only count while in dry-run
+  const { data: existing } = await supabase
+    .from('monibot_query_commands')
+    .select('status')
+    .eq('tweet_id', tweet.id)
+    .maybeSingle();
+  if (existing && (DRY_RUN || existing.status !== 'simulated')) return false;
+
+  const row = {
+    tweet_id: tweet.id,
+    author_id: author.id,
+    author_username: author.username,
+    command: parsed.command,
+    args: { token: parsed.token, tweetId: parsed.tweetId },
+    reply_attempts: 0,
+    reply_tweet_id: null,
+    created_at: new Date().toISOString(),
+  };
+
+  if (await isRateLimited(author.id)) {
+    console.log(`   🚩 @${author.username} over ${QUERY_RATE_LIMIT} queries per ${QUERY_RATE_WINDOW_MS / 60000}min, not answering ${parsed.command}`);
+    await upsertQuery({ ...row, profile_id: null, reply_text: null, status: 'rate_limited' });
+    return false;
+  }
+
+  console.log(`   ❓ @${author.username} asked for ${parsed.command}`);
+  if (!DRY_RUN) {
+    await upsertQuery({ ...row, profile_id: null, reply_text: null, status: 'pending' });
+    return true;
+  }
+
+  // A dry run shows the reply it would post, nothing is queued
+  const { text, profile } = await answerQuery(parsed, author);
+  await upsertQuery({ ...row, profile_id: profile?.id || null, reply_text: text, status: 'simulated' });
+  await postStandaloneReply(tweet.id, text);
+  return false;
+}
+
+async function upsertQuery(row) {
+  const { error } = await supabase
+    .from('monibot_query_commands')
+    .upsert(row, { onConflict: 'tweet_id' });
+  if (error) throw error;
+}
+
+async function pollQueries(twitter) {
+  const { sinceId } = await getCursor(QUERY_CURSOR_KEY);
+  const searchParams = {
+    query: '@monibot (balance OR bal OR history OR activity OR status OR help) -is:retweet',
+    max_results: 50,
+    'tweet.fields': ['author_id', 'created_at'],
+    'user.fields': ['username'],
+    expansions: ['author_id'],
+  };
+  if (sinceId) searchParams.since_id = sinceId;
+
+  const result = await timeTwitter('search_query', () => twitter.v2.search(searchParams));
+  const tweets = result?.data?.data || [];
+  const failedIds = [];
+  for (const tweet of tweets) {
+    const author = result.includes?.users?.find(u => u.id === tweet.author_id);
+    if (!author) continue;
+
+    const parsed = parseQueryCommand(tweet.text);
+    if (!parsed.ok) continue;
+
+    await withLogContext({ correlation_id: tweet.id }, async () => {
+      try {
+        await takeQuery(tweet, author, parsed);
+        tweetAttempts.delete(tweet.id);
+      } catch (err) {
+        console.error(`❌ Error taking query ${tweet.id}:`, err.message);
+        if (!(await giveUpOnQuery(tweet, author, parsed))) failedIds.push(tweet.id);
+      }
+    });
+  }
+
+  // Never past a tweet that threw before its row was written, so it is searched again
+  await saveCursor(QUERY_CURSOR_KEY, { sinceId: cursorAfter(tweets, failedIds, result?.data?.meta?.newest_id) });
+}
+
+/**
+ * After MAX_TWEET_ATTEMPTS errors, record the query as failed, unanswered,
+ * so it stops holding the cursor back
+ * @returns true if it was given up on
+ */
+async function giveUpOnQuery(tweet, author, parsed) {
+  const attempts = (tweetAttempts.get(tweet.id) || 0) + 1;
+  tweetAttempts.set(tweet.id, attempts);
+  if (attempts < MAX_TWEET_ATTEMPTS) return false;
+
+  try {
+    await upsertQuery({
+      tweet_id: tweet.id,
+      author_id: author.id,
+      author_username: author.username,
+      command: parsed.command,
+      profile_id: null,
+      reply_text: null,
+      status: DRY_RUN ? 'simulated' : 'failed',
+      created_at: new Date().toISOString(),
+    });
+  } catch {
+    return false;
+  }
+
+  tweetAttempts.delete(tweet.id);
+  console.warn(`   ⚠️ Giving up on query ${tweet.id} after ${attempts} attempts`);
+  return true;
+}
+
+// ============ Replies ============
+
+/**
+ * Answer for a queued query as things stand now; a row that already has
+ * reply_text (queued by an older worker) is posted as it is
+ */
+async function answerQueued(query) {
+  if (query.reply_text) return { text: query.reply_text, profile: null };
+  const parsed = { command: query.command, token: query.args?.token || null, tweetId: query.args?.tweetId || null };
+  return answerQuery(parsed, { id: query.author_id, username: query.author_username });
+}
+
+/**
+ * Answer and post queued queries, oldest first
+ * @returns number of replies posted
+ */
+async function flushQueryReplies() {
+  const { data: queued, error } = await supabase
+    .from('monibot_query_commands')
+    .select('*')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(QUERY_REPLY_BATCH);
+  if (error) {
+    console.error('❌ Could not load query replies:', error.message);
+    return 0;
+  }
+
+  let posted = 0;
+  for (const query of queued || []) {
+    const { outcome, replyId, text, profile } = await withLogContext({ correlation_id: query.tweet_id }, async () => {
+      let answer;
+      try {
+        answer = await answerQueued(query);
+      } catch (err) {
+        console.error(`❌ Error answering query ${query.tweet_id}:`, err.message);
+        return { outcome: 'failed' };
+      }
+      return { ...answer, ...(await postStandaloneReply(query.tweet_id, answer.text)) };
+    });
+    if (outcome === 'rate_limited') break;
+
+    if (outcome === 'posted') {
+      posted++;
+      await supabase
+        .from('monibot_query_commands')
+        .update({
+          status: 'replied',
+          reply_text: text,
+          profile_id: profile?.id || query.profile_id || null,
+          reply_tweet_id: replyId || null,
+        })
+        .eq('id', query.id);
+    } else {
+      const attempts = (query.reply_attempts || 0) + 1;
+      await supabase
+        .from('monibot_query_commands')
+        .update({ reply_attempts: attempts, ...(attempts >= MAX_REPLY_ATTEMPTS && { status: 'failed' }) })
+        .eq('id', query.id);
+    }
+  }
+  return posted;
+}
+
+/**
+ * One pass per cycle: take new query tweets, then post their answers
+ * @returns number of answers posted
+ */
+export async function processQueryCommands() {
+  const twitter = getTwitterClient();
+  if (!twitter || !supabase) return 0;
+
+  try {
+    await pollQueries(twitter);
+  } catch (error) {
+    console.error('❌ Error polling read-only commands:', error.message);
+  }
+  return DRY_RUN ? 0 : flushQueryReplies();
+}
@@ -0,0 +1,261 @@
+/**
+ * Tempo Worker Reply Notifier
+ *
+ * Replies to the original tweet once its grant or P2P command settles
+ * (completed / escrowed / failed / skipped) and marks the
+ * monibot_transactions rows as replied. Respects Twitter rate limits and
+ * spaces replies out.
+ */
+
+import { getTwitterClient } from './twitter.js';
+import { TEMPO_CHAIN, DRY_RUN } from './blockchain.js';
+import { tokenLabel } from './tokens.js';
+import { timeTwitter } from './metrics.js';
+import { withLogContext } from './logger.js';
+import { ESCROW_EXPIRY_MS } from './escrow.js';
+
+let supabase = null;
+
+const REPLY_BATCH = parseInt(process.env.REPLY_BATCH_SIZE || '10', 10);
+const REPLY_INTERVAL_MS = parseInt(process.env.REPLY_INTERVAL_MS || '2000', 10);
+const MAX_REPLY_ATTEMPTS = 3;
+const TWEET_LIMIT = 280;
+
+// Not worth a reply: the tweet wasn't really talking to the bot
+const SILENT_CODES = new Set(['NOT_A_COMMAND', 'PARSE_FAILED']);
+
+const FRIENDLY_REASONS = {
+  SENDER_NOT_FOUND: 'link your X account in the MoniPay app first',
+  RECIPIENT_NOT_FOUND: "they haven't linked their X account to MoniPay yet",
+  INSUFFICIENT_BALANCE: "your balance doesn't cover it",
+  INSUFFICIENT_ALLOWANCE: 'approve MoniBot to spend the token in the MoniPay app',
+  TWEET_ID_ALREADY_USED: 'this tweet was already paid out',
+  GRANT_ALREADY_ISSUED: 'you already received this grant',
+  INELIGIBLE: "this reply doesn't meet the campaign rules",
+  CAMPAIGN_ENDED: 'the campaign has ended',
+  INSUFFICIENT_CONTRACT_BALANCE: 'the grant pool is empty right now',
+  INSUFFICIENT_EXECUTOR_BALANCE: 'the grant pool is empty right now',
+  TX_LIMIT_EXCEEDED: "it's over your per-payment limit",
+  DAILY_LIMIT_EXCEEDED: "it's over your daily limit, try again tomorrow",
+  RECIPIENT_LIMIT_EXCEEDED: 'too many recipients in one command',
+  VELOCITY_FLAGGED: 'too many payments in a short time, please slow down',
+  CONFIRMATION_EXPIRED: "you didn't confirm it in time",
+  CONFIRMATION_CANCELLED: 'you cancelled it',
+};
+const FALLBACK_REASON = 'something went wrong on our side, please try again later';
+
+// Twitter rate-limit window we're waiting out (epoch ms)
+let pausedUntil = 0;
+
+export function initReplies(supabaseClient) {
+  supabase = supabaseClient;
+  console.log('✅ Reply notifier initialized');
+}
+
+export function explorerTxUrl(txHash) {
+  const explorer = TEMPO_CHAIN.blockExplorers?.default.url;
+  return explorer ? `${explorer}/tx/${txHash}` : null;
+}
+
+function formatAmount(value) {
+  return Number(value).toFixed(6).replace(/\.?0+$/, '');
+}
+
+function isOnChainHash(txHash) {
+  return /^0x[0-9a-fA-F]{64}$/.test(txHash || '');
+}
+
+function successLine(row) {
+  const net = formatAmount(Number(row.amount) - Number(row.fee || 0));
+  const fee = formatAmount(row.fee || 0);
+  const label = tokenLabel(row.token);
+  if (row.status === 'escrowed') {
+    const days = Math.round(ESCROW_EXPIRY_MS / 86400000);
+    return row.type === 'grant'
+      ? `💼 ${net} ${label} is waiting for you: link your X account in MoniPay within ${days} days to claim it (fee ${fee}).`
+      : `💼 @${row.recipient_pay_tag} isn't on MoniPay yet: holding ${net} ${label} for them to claim within ${days} days (fee ${fee}).`;
+  }
+  if (row.type === 'escrow_refund') return `↩️ Refunded ${net} ${label}: @${row.recipient_pay_tag} didn't claim it in time.`;
+  return row.type === 'grant'
+    ? `🎉 You received ${net} ${label} from MoniBot (fee ${fee}).`
+    : `✅ Sent ${net} ${label} to @${row.recipient_pay_tag} (fee ${fee}).`;
+}
+
+function failureLine(row) {
+  const reason = FRIENDLY_REASONS[row.error_code] || FALLBACK_REASON;
+  return row.type === 'grant'
+    ? `⚠️ No grant this time: ${reason}.`
+    : `⚠️ Payment to @${row.recipient_pay_tag} didn't go through: ${reason}.`;
+}
+
+/**
+ * Build the reply for all rows of one tweet (a multi-recipient command has several)
+ * @returns reply text, or null when the rows warrant no reply
+ */
+export function buildReply(rows) {
+  const isPaid = r => r.status === 'completed' || r.status === 'escrowed';
+  const relevant = rows.filter(r => isPaid(r) || (r.error_code && !SILENT_CODES.has(r.error_code)));
+  if (!relevant.length) return null;
+
+  const lines = relevant.map(r => (isPaid(r) ? successLine(r) : failureLine(r)));
+  const paid = relevant.find(r => isPaid(r) && isOnChainHash(r.tx_hash));
+  const url = paid && explorerTxUrl(paid.tx_hash);
+  const link = url ? `\n${url}` : '';
+
+  let text = lines.join('\n');
+  // Links count as 23 chars on Twitter
+  const budget = TWEET_LIMIT - (link ? 24 : 0);
+  if (text.length > budget) text = text.slice(0, budget - 1) + '…';
+  return text + link;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function markReplied(rows, fields = {}) {
+  await supabase
+    .from('monibot_transactions')
+    .update({ replied: true, ...fields })
+    .in('id', rows.map(r => r.id));
+}
+
+// A multi-recipient command is answered once, after every leg has settled:
+// tweets with a job still pending or submitted are left out of the queue
+async function tweetsWithLegsInFlight() {
+  const { data, error } = await supabase
+    .from('monibot_jobs')
+    .select('tweet_id')
+    .in('status', ['pending', 'submitted']);
+  if (error) throw new Error(error.message);
+  return [...new Set((data || []).map(j => j.tweet_id))];
+}
+
+// On a Twitter 429, pause replies until the rate-limit window resets
+function pauseOnRateLimit(err) {
+  if (!err?.rateLimitError && err?.code !== 429) return false;
+  const resetSec = err.rateLimit?.reset;
+  pausedUntil = resetSec ? resetSec * 1000 : Date.now() + 15 * 60 * 1000;
+  console.warn(`⚠️ Twitter rate limit hit, pausing replies until ${new Date(pausedUntil).toISOString()}`);
+  return true;
+}
+
+/**
+ * Post one reply and mark its rows
+ * @returns {'posted' | 'failed' | 'rate_limited' | 'dry_run'}
+ */
+async function postReply(twitter, tweetId, tweetRows, text) {
+  if (DRY_RUN) {
+    console.log(`🧪 [DRY_RUN] Would reply to ${tweetId}: ${text.replace(/\n/g, ' | ')}`);
+    return 'dry_run';
+  }
+
+  try {
+    const { data: reply } = await timeTwitter('reply', () => twitter.v2.reply(text, tweetId));
+    await markReplied(tweetRows, { reply_tweet_id: reply?.id || null });
+    console.log(`💬 Replied to ${tweetId}`);
+    return 'posted';
+  } catch (err) {
+    if (pauseOnRateLimit(err)) return 'rate_limited';
+
+    // Deleted tweet, blocked account, ...: give up after a few tries
+    const attempts = Math.max(...tweetRows.map(r => r.reply_attempts || 0)) + 1;
+    console.error(`❌ Reply to ${tweetId} failed (attempt ${attempts}):`, err.message);
+    if (attempts >= MAX_REPLY_ATTEMPTS) {
+      await markReplied(tweetRows, { reply_attempts: attempts });
+    } else {
+      await supabase
+        .from('monibot_transactions')
+        .update({ reply_attempts: attempts })
+        .in('id', tweetRows.map(r => r.id));
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Post a reply that has no monibot_transactions rows behind it (a confirmation
+ * prompt), under the same rate-limit pause as the reply queue
+ * @returns {Promise<{ outcome: 'posted' | 'failed' | 'rate_limited' | 'dry_run', replyId?: string }>}
+ */
+export async function postStandaloneReply(tweetId, text) {
+  const twitter = getTwitterClient();
+  if (!twitter) return { outcome: 'failed' };
+  if (DRY_RUN) {
+    console.log(`🧪 [DRY_RUN] Would reply to ${tweetId}: ${text.replace(/\n/g, ' | ')}`);
+    return { outcome: 'dry_run' };
+  }
+  if (Date.now() < pausedUntil) return { outcome: 'rate_limited' };
+
+  try {
+    const { data: reply } = await timeTwitter('reply', () => twitter.v2.reply(text, tweetId));
+    console.log(`💬 Replied to ${tweetId}`);
+    return { outcome: 'posted', replyId: reply?.id };
+  } catch (err) {
+    if (pauseOnRateLimit(err)) return { outcome: 'rate_limited' };
+    console.error(`❌ Reply to ${tweetId} failed:`, err.message);
+    return { outcome: 'failed' };
+  }
+}
+
+/**
+ * Reply to settled, unreplied transactions
+ * @returns number of replies posted
+ */
+export async function processReplyQueue() {
+  const twitter = getTwitterClient();
+  if (!twitter || !supabase) return 0;
+
+  if (Date.now() < pausedUntil) {
+    console.log(`   ⏸️ Replies paused for rate limit until ${new Date(pausedUntil).toISOString()}`);
+    return 0;
+  }
+
+  let inFlight;
+  try {
+    inFlight = await tweetsWithLegsInFlight();
+  } catch (err) {
+    console.error('❌ Could not load in-flight jobs:', err.message);
+    return 0;
+  }
+
+  let query = supabase
+    .from('monibot_transactions')
+    .select('*')
+    .eq('chain', 'tempo')
+    .eq('replied', false)
+    .in('status', ['completed', 'escrowed', 'failed', 'skipped']);
+  if (inFlight.length) query = query.not('tweet_id', 'in', `(${inFlight.join(',')})`);
+  const { data: rows, error } = await query.order('created_at', { ascending: true }).limit(REPLY_BATCH * 5);
+
+  if (error) {
+    console.error('❌ Could not load reply queue:', error.message);
+    return 0;
+  }
+  if (!rows?.length) return 0;
+
+  // One reply per tweet
+  const byTweet = new Map();
+  for (const row of rows) {
+    if (!byTweet.has(row.tweet_id)) byTweet.set(row.tweet_id, []);
+    byTweet.get(row.tweet_id).push(row);
+  }
+
+  let posted = 0;
+  for (const [tweetId, tweetRows] of byTweet) {
+    if (posted >= REPLY_BATCH) break;
+
+    const text = buildReply(tweetRows);
+    if (!text) {
+      await markReplied(tweetRows);
+      continue;
+    }
+
+    const outcome = await withLogContext({ correlation_id: tweetId }, () => postReply(twitter, tweetId, tweetRows, text));
+    if (outcome === 'rate_limited') break;
+    if (outcome === 'dry_run') continue;
+    if (outcome === 'posted') posted++;
+
+    await sleep(REPLY_INTERVAL_MS);
+  }
+
+  return posted;
+}
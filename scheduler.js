@@ -0,0 +1,175 @@
+/**
+ * Tempo Worker Scheduler
+ *
+ * Runs the poll cycle on a fixed interval without ever overlapping two
+ * cycles, and only while this instance holds the DB-backed leader lease
+ * (one lease per network, see monibot_leases), so several instances can
+ * run side by side with one of them processing. Stopping drains: no new
+ * cycle starts, the one in flight finishes (up to SHUTDOWN_TIMEOUT_MS),
+ * then the lease is released for the next instance.
+ */
+
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { NETWORK } from './networks.js';
+
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_MS || '90000', 10);
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '120000', 10);
+const LEASE_NAME = `tempo-worker:${NETWORK.key}`;
+const INSTANCE_ID = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+let supabase = null;
+
+// idle | running | draining | stopped
+let state = 'idle';
+let leader = false;
+let leaseExpiresAt = 0;
+let stopping = false;
+let cycleStartedAt = null;
+let loopDone = null;
+let drainDone = null;
+let heartbeat = null;
+let wake = null;
+
+export function initScheduler(supabaseClient) {
+  supabase = supabaseClient;
+  console.log(`✅ Scheduler initialized (instance ${INSTANCE_ID}, lease ${LEASE_NAME})`);
+}
+
+// ============ Leader Lease ============
+
+/**
+ * Take or renew the lease; succeeds if it is free, expired or already ours
+ */
+async function holdLease() {
+  const requestedAt = Date.now();
+  let held = false;
+  try {
+    const { data, error } = await supabase.rpc('acquire_worker_lease', {
+      p_name: LEASE_NAME,
+      p_holder: INSTANCE_ID,
+      p_ttl_ms: LEASE_TTL_MS,
+    });
+    if (error) throw error;
+    held = data === true;
+  } catch (error) {
+    console.error('❌ Lease check failed:', error.message);
+  }
+
+  if (held && !leader) console.log(`👑 Acquired lease ${LEASE_NAME}`);
+  if (!held && leader) console.warn(`⚠️ Lost lease ${LEASE_NAME}`);
+  leader = held;
+  // Counted from before the request, so it never outlasts the lease in the DB
+  if (held) leaseExpiresAt = requestedAt + LEASE_TTL_MS;
+  return held;
+}
+
+/**
+ * Whether this instance may act as leader right now: it holds the lease and
+ * the last renewal has not run out (a hung heartbeat must not extend it).
+ * Checked before every broadcast, so a cycle that outlives its lease stops
+ * paying out while the new leader takes over.
+ */
+export function isLeader() {
+  return leader && Date.now() < leaseExpiresAt;
+}
+
+async function releaseLease() {
+  if (!leader) return;
+  const { error } = await supabase.rpc('release_worker_lease', { p_name: LEASE_NAME, p_holder: INSTANCE_ID });
+  if (error) console.error('❌ Could not release lease:', error.message);
+  else console.log(`👋 Released lease ${LEASE_NAME}`);
+  leader = false;
+}
+
+// ============ Cycle Loop ============
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+async function loop(cycle, intervalMs) {
+  while (!stopping) {
+    const started = Date.now();
+
+    if (await holdLease()) {
+      state = 'running';
+      cycleStartedAt = new Date(started).toISOString();
+      try {
+        await cycle();
+      } catch (error) {
+        console.error('❌ Cycle error:', error.message);
+      }
+      cycleStartedAt = null;
+      if (!stopping) state = 'idle';
+    } else {
+      console.log(`   💤 Standby: lease ${LEASE_NAME} held by another instance`);
+    }
+
+    // Next cycle starts an interval after this one started, never before it ended
+    if (!stopping) await sleep(Math.max(0, started + intervalMs - Date.now()));
+  }
+}
+
+/**
+ * Start running cycle() every intervalMs while holding the lease
+ */
+export function startScheduler(cycle, { intervalMs }) {
+  if (loopDone) throw new Error('Scheduler already started');
+
+  // Keep the lease alive through long cycles
+  heartbeat = setInterval(() => {
+    if (leader && !stopping) holdLease();
+  }, Math.floor(LEASE_TTL_MS / 3));
+  heartbeat.unref();
+
+  loopDone = loop(cycle, intervalMs);
+}
+
+/**
+ * Stop starting cycles, let the running one finish, release the lease.
+ * Calling it again (a second signal) waits on the same drain.
+ * @returns {Promise<boolean>} false if the running cycle outlived SHUTDOWN_TIMEOUT_MS
+ */
+export function stopScheduler(reason) {
+  if (!drainDone) drainDone = drain(reason);
+  return drainDone;
+}
+
+async function drain(reason) {
+  stopping = true;
+  state = 'draining';
+  console.log(`🛑 Draining (${reason})${cycleStartedAt ? `: waiting for the cycle started at ${cycleStartedAt}` : ''}...`);
+  wake?.();
+
+  let timer;
+  const drained = await Promise.race([
+    (loopDone || Promise.resolve()).then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS);
+    }),
+  ]);
+  clearTimeout(timer);
+  clearInterval(heartbeat);
+
+  if (!drained) console.warn(`⚠️ Cycle still running after ${SHUTDOWN_TIMEOUT_MS}ms; in-flight jobs are left for the reconciler`);
+  await releaseLease();
+  state = 'stopped';
+  return drained;
+}
+
+export function getSchedulerState() {
+  return {
+    state,
+    leader,
+    instance: INSTANCE_ID,
+    lease: LEASE_NAME,
+    cycleStartedAt,
+  };
+}
@@ -0,0 +1,7 @@
+-- Stable failure codes for grants and P2P commands (see errors.js)
+alter table public.monibot_transactions
+  add column if not exists error_code text;
+
+create index if not exists monibot_transactions_error_code_idx
+  on public.monibot_transactions (chain, error_code)
+  where error_code is not null;
@@ -0,0 +1,22 @@
+-- Durable payout jobs between tweet intake and on-chain execution (see jobs.js)
+create table if not exists public.monibot_jobs (
+  id uuid primary key default gen_random_uuid(),
+  job_key text not null unique,           -- grant:<campaign>:<tweet> | p2p:<tweet>:<leg> | escrow:<action>:<escrow>:<attempt>
+  kind text not null,                     -- grant | p2p | release (escrow payout, see escrow.js)
+  tweet_id text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'submitted', 'confirmed', 'failed')),
+  payload jsonb not null,
+  tx_hash text,                           -- stored before broadcast
+  raw_tx text,                            -- signed tx, rebroadcast by the reconciler
+  error_code text,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists monibot_jobs_in_flight_idx
+  on public.monibot_jobs (created_at)
+  where status in ('pending', 'submitted');
+
+create index if not exists monibot_jobs_tweet_idx on public.monibot_jobs (tweet_id);
@@ -0,0 +1,6 @@
+-- Persisted Twitter search cursors (see cursors.js)
+create table if not exists public.monibot_cursors (
+  key text primary key,                   -- p2p | campaign:<id>
+  since_id text,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,4 @@
+-- Part-way pagination state for campaign reply searches (see cursors.js)
+alter table public.monibot_cursors
+  add column if not exists next_token text,
+  add column if not exists newest_id text;
@@ -0,0 +1,3 @@
+-- Per-campaign eligibility rules (see eligibility.js)
+alter table public.campaigns
+  add column if not exists eligibility_rules jsonb not null default '{}'::jsonb;
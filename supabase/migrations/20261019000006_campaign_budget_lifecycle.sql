@@ -0,0 +1,86 @@
+-- Atomic campaign budget / participant accounting and auto-completion (see database.js)
+alter table public.campaigns
+  add column if not exists budget numeric,
+  add column if not exists ends_at timestamptz,
+  add column if not exists completed_at timestamptz;
+
+-- One row per reply that holds a participant slot; makes reserve/release idempotent
+create table if not exists public.monibot_campaign_slots (
+  campaign_id uuid not null references public.campaigns (id) on delete cascade,
+  tweet_id text not null,
+  amount numeric not null,
+  created_at timestamptz not null default now(),
+  primary key (campaign_id, tweet_id)
+);
+
+create or replace function public.reserve_campaign_slot(
+  p_campaign_id uuid,
+  p_tweet_id text,
+  p_amount numeric
+) returns boolean
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from public.monibot_campaign_slots
+    where campaign_id = p_campaign_id and tweet_id = p_tweet_id
+  ) then
+    return true;
+  end if;
+
+  update public.campaigns
+     set current_participants = coalesce(current_participants, 0) + 1,
+         budget_spent = coalesce(budget_spent, 0) + p_amount
+   where id = p_campaign_id
+     and status = 'active'
+     and (max_participants is null or coalesce(current_participants, 0) < max_participants)
+     and (budget is null or coalesce(budget_spent, 0) + p_amount <= budget)
+     and (ends_at is null or ends_at > now());
+
+  if not found then
+    return false;
+  end if;
+
+  insert into public.monibot_campaign_slots (campaign_id, tweet_id, amount)
+  values (p_campaign_id, p_tweet_id, p_amount);
+  return true;
+end;
+$$;
+
+create or replace function public.release_campaign_slot(
+  p_campaign_id uuid,
+  p_tweet_id text
+) returns boolean
+language plpgsql
+as $$
+declare
+  v_amount numeric;
+begin
+  delete from public.monibot_campaign_slots
+   where campaign_id = p_campaign_id and tweet_id = p_tweet_id
+  returning amount into v_amount;
+
+  if not found then
+    return false;
+  end if;
+
+  update public.campaigns
+     set current_participants = greatest(coalesce(current_participants, 0) - 1, 0),
+         budget_spent = greatest(coalesce(budget_spent, 0) - v_amount, 0)
+   where id = p_campaign_id;
+  return true;
+end;
+$$;
+
+create table if not exists public.monibot_campaign_summaries (
+  id uuid primary key default gen_random_uuid(),
+  campaign_id uuid not null unique references public.campaigns (id) on delete cascade,
+  reason text not null,                   -- expired | budget_exhausted | max_participants | closed
+  participants integer not null default 0,
+  budget numeric,
+  budget_spent numeric not null default 0,
+  grants_completed integer not null default 0,
+  grants_failed integer not null default 0,
+  grants_skipped integer not null default 0,
+  completed_at timestamptz not null default now()
+);
@@ -0,0 +1,8 @@
+-- Reply notifier bookkeeping (see replies.js)
+alter table public.monibot_transactions
+  add column if not exists reply_tweet_id text,
+  add column if not exists reply_attempts integer not null default 0;
+
+create index if not exists monibot_transactions_unreplied_idx
+  on public.monibot_transactions (created_at)
+  where replied = false;
@@ -0,0 +1,3 @@
+-- Memo parsed from a P2P command ("for pizza", memo: "...") (see parser.js)
+alter table public.monibot_transactions
+  add column if not exists memo text;
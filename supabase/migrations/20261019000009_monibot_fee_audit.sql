@@ -0,0 +1,8 @@
+-- Fee charged on-chain vs the configured policy (see fees.js)
+alter table public.monibot_transactions
+  add column if not exists expected_fee numeric,
+  add column if not exists fee_mismatch boolean not null default false;
+
+create index if not exists monibot_transactions_fee_mismatch_idx
+  on public.monibot_transactions (created_at)
+  where fee_mismatch;
@@ -0,0 +1,7 @@
+-- TIP-20 token per payout and per campaign (see tokens.js)
+alter table public.monibot_transactions
+  add column if not exists token text not null default 'AlphaUSD';
+
+-- null means the worker's DEFAULT_TOKEN
+alter table public.campaigns
+  add column if not exists token text;
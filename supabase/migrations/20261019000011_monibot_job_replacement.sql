@@ -0,0 +1,6 @@
+-- Stuck tx replacement (see jobs.js): speed-ups and cancels reuse the nonce,
+-- so every earlier hash stays a candidate until one of them is mined
+alter table public.monibot_jobs
+  add column if not exists submitted_at timestamptz,
+  add column if not exists replaced_tx_hashes text[] not null default '{}',
+  add column if not exists cancelled boolean not null default false;
@@ -0,0 +1,14 @@
+-- Audit trail of operator interventions through the admin API (see admin.js)
+create table if not exists public.monibot_admin_actions (
+  id uuid primary key default gen_random_uuid(),
+  actor text not null,
+  action text not null,                   -- campaign.pause | campaign.resume | campaign.close | transaction.retry | grant.manual
+  target text not null,                   -- campaign id, transaction id or pay tag
+  params jsonb not null default '{}',
+  result jsonb,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists monibot_admin_actions_created_idx
+  on public.monibot_admin_actions (created_at desc);
@@ -0,0 +1,42 @@
+-- Leader lease: only the instance holding a network's lease runs poll cycles (see scheduler.js)
+create table if not exists public.monibot_leases (
+  name text primary key,                  -- tempo-worker:<network>
+  holder text not null,                   -- host:pid:nonce of the instance
+  expires_at timestamptz not null,
+  acquired_at timestamptz not null default now()
+);
+
+-- Take a free or expired lease, or renew one already held; true if p_holder holds it now
+create or replace function public.acquire_worker_lease(
+  p_name text,
+  p_holder text,
+  p_ttl_ms integer
+) returns boolean
+language plpgsql
+as $$
+begin
+  insert into public.monibot_leases as l (name, holder, expires_at)
+  values (p_name, p_holder, now() + p_ttl_ms * interval '1 millisecond')
+  on conflict (name) do update
+     set holder = excluded.holder,
+         expires_at = excluded.expires_at,
+         acquired_at = case when l.holder = excluded.holder then l.acquired_at else now() end
+   where l.holder = excluded.holder
+      or l.expires_at < now();
+
+  return found;
+end;
+$$;
+
+create or replace function public.release_worker_lease(
+  p_name text,
+  p_holder text
+) returns boolean
+language plpgsql
+as $$
+begin
+  delete from public.monibot_leases
+   where name = p_name and holder = p_holder;
+  return found;
+end;
+$$;
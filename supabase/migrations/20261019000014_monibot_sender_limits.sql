@@ -0,0 +1,19 @@
+-- P2P spending limits and anti-abuse checks (see limits.js)
+
+-- A sender's own limits; null keeps the worker's global limit, values above it are ignored
+create table if not exists public.monibot_sender_limits (
+  profile_id uuid primary key references public.profiles (id) on delete cascade,
+  max_per_tx numeric,
+  max_per_day numeric,
+  max_recipients integer,
+  confirm_above numeric,                  -- opt-in: commands above this need confirmation
+  updated_at timestamptz not null default now()
+);
+
+-- The limit check behind every P2P row: { allowed, rule, code, reason, spent_24h, limits }
+alter table public.monibot_transactions
+  add column if not exists limit_decision jsonb;
+
+create index if not exists monibot_transactions_sender_recent_idx
+  on public.monibot_transactions (sender_id, created_at desc)
+  where type = 'p2p_command';
@@ -0,0 +1,27 @@
+-- P2P commands held until the sender confirms them (see confirmations.js)
+create table if not exists public.monibot_pending_commands (
+  id uuid primary key default gen_random_uuid(),
+  tweet_id text not null unique,
+  tweet_text text not null,
+  author_id text not null,                -- X user ID allowed to confirm by reply
+  author_username text not null,
+  sender_id uuid not null,
+  payer_pay_tag text,
+  recipient_pay_tag text,                 -- comma-separated for multi-recipient commands
+  amount numeric not null,
+  token text not null,
+  summary text not null,
+  reasons text[] not null default '{}',
+  status text not null default 'pending', -- pending | confirmed | executed | cancelled | expired
+  confirm_url text,                       -- signed link for the MoniPay app to show the sender
+  confirmed_via text,                     -- reply | link
+  prompt_tweet_id text,
+  prompt_attempts integer not null default 0,
+  expires_at timestamptz not null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists monibot_pending_commands_open_idx
+  on public.monibot_pending_commands (created_at)
+  where status in ('pending', 'confirmed');
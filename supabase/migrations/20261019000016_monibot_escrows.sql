@@ -0,0 +1,31 @@
+-- Payments held for X handles with no MoniPay profile yet (see escrow.js)
+create table if not exists public.monibot_escrows (
+  id uuid primary key default gen_random_uuid(),
+  job_key text not null unique,           -- the deposit job
+  kind text not null,                     -- grant | p2p
+  tweet_id text not null,
+  recipient_tag text not null,            -- X handle the funds are for
+  recipient_id uuid,                      -- profile that claimed them
+  sender_id uuid,
+  payer_pay_tag text,
+  campaign_id uuid references public.campaigns (id) on delete set null,
+  token text not null,
+  amount numeric not null,                -- net amount held
+  deposit_tx_hash text not null,
+  refund_address text,                    -- P2P sender, router pool for grants, null when nothing moves back
+  status text not null default 'held',    -- held | releasing | claimed | refunded | failed
+  release_job_key text,
+  release_tx_hash text,
+  release_attempts integer not null default 0,
+  last_error text,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists monibot_escrows_held_idx
+  on public.monibot_escrows (recipient_tag)
+  where status = 'held';
+
+create index if not exists monibot_escrows_campaign_idx
+  on public.monibot_escrows (campaign_id, recipient_tag);
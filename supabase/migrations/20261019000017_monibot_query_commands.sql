@@ -0,0 +1,30 @@
+-- Read-only mention commands: balance, history, status, help (see queries.js)
+
+-- One row per answered (or rate-limited) query tweet; also the per-author rate-limit log
+create table if not exists public.monibot_query_commands (
+  id uuid primary key default gen_random_uuid(),
+  tweet_id text not null unique,
+  author_id text not null,
+  author_username text not null,
+  profile_id uuid,                        -- null when the author has no MoniPay profile
+  command text not null,                  -- balance | history | status | help
+  reply_text text,
+  status text not null default 'pending', -- pending | replied | failed | rate_limited | simulated
+  reply_tweet_id text,
+  reply_attempts integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists monibot_query_commands_author_idx
+  on public.monibot_query_commands (author_id, created_at desc);
+
+create index if not exists monibot_query_commands_pending_idx
+  on public.monibot_query_commands (created_at)
+  where status = 'pending';
+
+-- How much of their balance a user lets the bot reply with publicly; null keeps BALANCE_DISCLOSURE
+create table if not exists public.monibot_privacy_settings (
+  profile_id uuid primary key references public.profiles (id) on delete cascade,
+  balance_disclosure text check (balance_disclosure in ('exact', 'range', 'hidden')),
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,7 @@
+-- Job kinds the worker registers a handler for (see jobs.js registerJobHandler);
+-- the reconciler passes kind through as the payout type, so nothing else may be stored
+alter table public.monibot_jobs
+  drop constraint if exists monibot_jobs_kind_check;
+
+alter table public.monibot_jobs
+  add constraint monibot_jobs_kind_check check (kind in ('grant', 'p2p', 'release'));
@@ -0,0 +1,6 @@
+-- Confirmed commands that keep failing to run are given up on (see confirmations.js)
+alter table public.monibot_pending_commands
+  add column if not exists run_attempts integer not null default 0;
+
+comment on column public.monibot_pending_commands.status is
+  'pending | confirmed | executed | cancelled | expired | failed (confirmed, but running it kept erroring)';
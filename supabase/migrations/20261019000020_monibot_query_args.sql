@@ -0,0 +1,8 @@
+-- Query answers are worked out when the reply is posted, not at intake (see queries.js)
+alter table public.monibot_query_commands
+  add column if not exists args jsonb;   -- { token, tweetId } parsed from the query tweet
+
+comment on column public.monibot_query_commands.reply_text is
+  'The answer as posted; null until the reply goes out';
+comment on column public.monibot_query_commands.profile_id is
+  'The author''s profile when the answer was worked out; null before that or without a profile';
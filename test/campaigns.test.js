@@ -0,0 +1,138 @@
+/**
+ * Campaign grants end to end: replies found by search, paid through the
+ * mock MoniBotRouter, recorded in monibot_transactions and answered.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker, address, units, ALPHA_USD, MONIBOT_ROUTER, TREASURY } from './harness/worker.js';
+
+const ALICE = address('a11ce');
+const BOB = address('b0b');
+const CAROL = address('ca201');
+
+const CAMPAIGN_ID = '00000000-0000-0000-0000-0000000000c1';
+
+describe('campaign grants', () => {
+  let worker;
+  let store;
+  let chain;
+  let twitter;
+  let campaignTweet;
+
+  const rows = () => store.tables.monibot_transactions || [];
+  const balance = owner => chain.balanceOf(ALPHA_USD, owner);
+
+  before(async () => {
+    worker = await startWorker({
+      seed: {
+        profiles: [
+          { id: 'p-alice', x_username: 'alice', pay_tag: 'alice', tempo_address: ALICE },
+          { id: 'p-bob', x_username: 'bob', pay_tag: 'bob', tempo_address: BOB },
+        ],
+      },
+    });
+    ({ store, chain, twitter } = worker);
+
+    chain.mint(ALPHA_USD, MONIBOT_ROUTER, units(1000));
+    campaignTweet = twitter.tweet('monipay', 'Reply to get 5 αUSD on Tempo!');
+    await store.from('campaigns').insert({
+      id: CAMPAIGN_ID,
+      network: 'tempo',
+      status: 'active',
+      tweet_id: campaignTweet,
+      grant_amount: 5,
+      token: 'AlphaUSD',
+      max_participants: 3,
+    });
+  });
+
+  it('pays each replier once, net of the router fee', async () => {
+    const aliceReply = twitter.tweet('alice', 'me please', { replyTo: campaignTweet });
+    twitter.tweet('bob', 'gm', { replyTo: campaignTweet });
+    twitter.tweet('alice', 'me again', { replyTo: campaignTweet });
+
+    await worker.runCycle();
+
+    assert.equal(balance(ALICE), units('4.935'));
+    assert.equal(balance(BOB), units('4.935'));
+    assert.equal(balance(TREASURY), units('0.13'));
+    assert.equal(balance(MONIBOT_ROUTER), units(990));
+
+    const grants = rows().filter(r => r.type === 'grant' && r.status === 'completed');
+    assert.deepEqual(grants.map(r => r.recipient_pay_tag).sort(), ['alice', 'bob']);
+    for (const row of grants) {
+      assert.equal(row.campaign_id, CAMPAIGN_ID);
+      assert.equal(row.fee, 0.065);
+      assert.equal(row.fee_mismatch, false);
+    }
+
+    const [again] = rows().filter(r => r.error_code === 'INELIGIBLE');
+    assert.match(again.error_reason, /one_claim_per_user/);
+    assert.ok(twitter.replies.some(r => r.in_reply_to === aliceReply));
+  });
+
+  it('holds the grant of a replier with no profile in escrow', async () => {
+    const carolReply = twitter.tweet('Carol', 'count me in', { replyTo: campaignTweet });
+
+    await worker.runCycle();
+
+    const [row] = rows().filter(r => r.tweet_id === carolReply);
+    assert.equal(row.status, 'escrowed');
+    assert.equal(balance(worker.executor), units('4.935'));
+
+    const [escrow] = store.tables.monibot_escrows;
+    assert.equal(escrow.recipient_tag, 'Carol');
+    assert.equal(escrow.status, 'held');
+  });
+
+  it('completes the campaign once its participants are used up', async () => {
+    const [campaign] = store.tables.campaigns;
+    assert.equal(campaign.status, 'completed');
+    assert.equal(campaign.current_participants, 3);
+
+    const [summary] = store.tables.monibot_campaign_summaries;
+    assert.equal(summary.reason, 'max_participants');
+    assert.equal(summary.grants_completed, 2);
+  });
+
+  it('releases the escrow to the profile linked later, whatever the handle case', async () => {
+    await store.from('profiles').insert({ id: 'p-carol', x_username: 'carol', pay_tag: 'carol', tempo_address: CAROL });
+
+    await worker.runCycle();
+
+    assert.equal(balance(CAROL), units('4.935'));
+    assert.equal(balance(worker.executor), 0n);
+    assert.equal(store.tables.monibot_escrows[0].status, 'claimed');
+
+    const [claim] = rows().filter(r => r.type === 'escrow_claim');
+    assert.equal(claim.status, 'completed');
+    assert.equal(claim.receiver_id, 'p-carol');
+  });
+
+  it('pays nothing more when the same replies are seen again', async () => {
+    const before = rows().length;
+    store.tables.monibot_cursors.length = 0;
+    await store.from('campaigns').update({ status: 'active', max_participants: 10 }).eq('id', CAMPAIGN_ID);
+
+    await worker.runCycle();
+
+    assert.equal(rows().length, before);
+    assert.equal(balance(MONIBOT_ROUTER), units(985));
+  });
+
+  it('matches repliers to their profile and escrow whatever the handle case', async () => {
+    const bobAgain = twitter.tweet('BOB', 'again!', { replyTo: campaignTweet });
+    const carolAgain = twitter.tweet('CAROL', 'me too', { replyTo: campaignTweet });
+
+    await worker.runCycle();
+
+    for (const tweetId of [bobAgain, carolAgain]) {
+      const [row] = rows().filter(r => r.tweet_id === tweetId);
+      assert.equal(row.error_code, 'INELIGIBLE');
+      assert.match(row.error_reason, /one_claim_per_user/);
+    }
+    assert.equal(store.tables.monibot_escrows.length, 1);
+    assert.equal(balance(MONIBOT_ROUTER), units(985));
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Held P2P commands: confirmation replies read across search pages, and a
+ * confirmed command that keeps erroring given up on instead of retried forever.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker, address, units, ALPHA_USD, MONIBOT_ROUTER } from './harness/worker.js';
+
+const ALICE = address('a11ce');
+const BOB = address('b0b');
+const CAROL = address('ca201');
+
+describe('confirmations', () => {
+  let worker;
+  let store;
+  let chain;
+  let twitter;
+
+  const commandFor = tweetId => store.tables.monibot_pending_commands.find(c => c.tweet_id === tweetId);
+
+  const confirm = tweetId => {
+    const prompt = twitter.replies.find(r => r.in_reply_to === tweetId);
+    assert.ok(prompt, `no confirmation prompt for ${tweetId}`);
+    twitter.tweet('alice', '@monibot confirm', { replyTo: prompt.id });
+  };
+
+  before(async () => {
+    worker = await startWorker({
+      seed: {
+        profiles: [
+          { id: 'p-alice', x_username: 'alice', pay_tag: 'alice', tempo_address: ALICE },
+          { id: 'p-bob', x_username: 'bob', pay_tag: 'bob', tempo_address: BOB },
+          { id: 'p-carol', x_username: 'carol', pay_tag: 'carol', tempo_address: CAROL },
+        ],
+      },
+    });
+    ({ store, chain, twitter } = worker);
+
+    chain.mint(ALPHA_USD, ALICE, units(100));
+    chain.approve(ALPHA_USD, ALICE, MONIBOT_ROUTER, units(50));
+  });
+
+  it('finds a confirmation behind a full page of newer replies', async () => {
+    const command = twitter.tweet('alice', '@monibot send $3 to @bob on tempo');
+    await worker.runCycle();
+
+    confirm(command);
+    const noise = twitter.tweet('mallory', 'gm');
+    for (let i = 0; i < 100; i++) twitter.tweet('mallory', '@monibot confirm', { replyTo: noise });
+
+    await worker.runCycle();
+
+    assert.equal(commandFor(command).status, 'executed');
+    assert.equal(chain.balanceOf(ALPHA_USD, BOB), units('2.961'));
+  });
+
+  it('marks a confirmed command failed after repeated errors and tells the sender', async () => {
+    const command = twitter.tweet('alice', '@monibot send $2 to @carol on tempo');
+    await worker.runCycle();
+    confirm(command);
+
+    // Every run of the command now dies reading the sender's limits
+    const from = store.from.bind(store);
+    store.from = table => {
+      if (table === 'monibot_sender_limits') throw new Error('connection reset');
+      return from(table);
+    };
+    try {
+      for (let i = 0; i < 4; i++) await worker.runCycle();
+    } finally {
+      store.from = from;
+    }
+
+    const held = commandFor(command);
+    assert.equal(held.status, 'failed');
+    assert.equal(held.run_attempts, 3);
+    assert.equal(chain.balanceOf(ALPHA_USD, CAROL), 0n);
+
+    const [row] = store.tables.monibot_transactions.filter(r => r.tweet_id === command);
+    assert.equal(row.error_code, 'UNKNOWN');
+    // The prompt, then the failure
+    assert.equal(twitter.replies.filter(r => r.in_reply_to === command).length, 2);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Fee exemptions on MoniBotRouter payouts: the router always takes its fee,
+ * so the executor rebates it to an exempt recipient in the same transaction.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker, address, units, ALPHA_USD, MONIBOT_ROUTER, TREASURY } from './harness/worker.js';
+
+const ALICE = address('a11ce');
+const BOB = address('b0b');
+const DORA = address('d02a');
+
+const CAMPAIGN_ID = '00000000-0000-0000-0000-0000000000f1';
+
+describe('fee exemptions', () => {
+  let worker;
+  let store;
+  let chain;
+  let twitter;
+
+  const rowFor = tweetId => (store.tables.monibot_transactions || []).find(r => r.tweet_id === tweetId);
+  const balance = owner => chain.balanceOf(ALPHA_USD, owner);
+
+  before(async () => {
+    worker = await startWorker({
+      env: { FEE_EXEMPT_PAY_TAGS: 'alice,dora' },
+      seed: {
+        profiles: [
+          { id: 'p-alice', x_username: 'alice', pay_tag: 'alice', tempo_address: ALICE },
+          { id: 'p-bob', x_username: 'bob', pay_tag: 'bob', tempo_address: BOB },
+          { id: 'p-dora', x_username: 'dora', pay_tag: 'dora', tempo_address: DORA },
+        ],
+      },
+    });
+    ({ store, chain, twitter } = worker);
+
+    chain.mint(ALPHA_USD, MONIBOT_ROUTER, units(100));
+    chain.mint(ALPHA_USD, worker.executor, units('0.1'));
+    const campaignTweet = twitter.tweet('monipay', 'Reply to get 5 αUSD on Tempo!');
+    await store.from('campaigns').insert({
+      id: CAMPAIGN_ID,
+      network: 'tempo',
+      status: 'active',
+      tweet_id: campaignTweet,
+      grant_amount: 5,
+      token: 'AlphaUSD',
+      max_participants: 10,
+    });
+  });
+
+  it('rebates the router fee to an exempt recipient in the same transaction', async () => {
+    const [campaign] = store.tables.campaigns;
+    const reply = twitter.tweet('alice', 'me please', { replyTo: campaign.tweet_id });
+
+    await worker.runCycle();
+
+    assert.equal(balance(ALICE), units(5));
+    assert.equal(balance(TREASURY), units('0.065'));
+    assert.equal(balance(worker.executor), units('0.035'));
+    assert.equal(chain.receipts().length, 1);
+
+    const row = rowFor(reply);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.fee, 0);
+    assert.equal(row.fee_mismatch, false);
+  });
+
+  it('leaves other recipients at the router rate', async () => {
+    const [campaign] = store.tables.campaigns;
+    const reply = twitter.tweet('bob', 'gm', { replyTo: campaign.tweet_id });
+
+    await worker.runCycle();
+
+    assert.equal(balance(BOB), units('4.935'));
+    assert.equal(balance(worker.executor), units('0.035'));
+
+    const row = rowFor(reply);
+    assert.equal(row.fee, 0.065);
+    assert.equal(row.fee_mismatch, false);
+  });
+
+  it('never pays a rebate out of funds held in escrow', async () => {
+    const [campaign] = store.tables.campaigns;
+    twitter.tweet('zed', 'hi', { replyTo: campaign.tweet_id });
+    await worker.runCycle();
+
+    // The executor holds 4.935 for @zed, and only 0.035 of its own
+    assert.equal(balance(worker.executor), units('4.97'));
+
+    const reply = twitter.tweet('dora', 'me too', { replyTo: campaign.tweet_id });
+    await worker.runCycle();
+
+    assert.equal(balance(DORA), 0n);
+    assert.equal(balance(worker.executor), units('4.97'));
+    const row = rowFor(reply);
+    assert.equal(row.status, 'failed');
+    assert.equal(row.error_code, 'INSUFFICIENT_EXECUTOR_BALANCE');
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * In-process Tempo chain for the worker tests: a viem transport that serves
+ * a mock MoniBotRouter and TIP-20 tokens from memory.
+ *
+ * Reads (eth_call, gas estimates) run against the current state; a sent
+ * transaction is mined at once, all its calls applied together or, if one
+ * reverts, none. The router mirrors the deployed contract: executor-only,
+ * takes feeBps of each payout for the treasury, one grant per address and
+ * campaign ID, and P2P pulls from the sender's allowance under a per-sender
+ * nonce and a tweet-ID replay guard. Gas is not charged.
+ */
+
+import {
+  custom,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeErrorResult,
+  encodeEventTopics,
+  encodeFunctionResult,
+  erc20Abi,
+  keccak256,
+  parseAbi,
+  toHex,
+} from 'viem';
+import { Transaction } from 'viem/tempo';
+
+const ROUTER_ABI = parseAbi([
+  'function executeGrant(address to, uint256 amount, string campaignId) returns (bool)',
+  'function executeP2P(address from, address to, uint256 amount, uint256 nonce, string tweetId) returns (bool)',
+  'function nonces(address user) view returns (uint256)',
+  'error NotExecutor()',
+  'error InvalidAddress()',
+  'error InvalidAmount()',
+  'error InvalidNonce()',
+  'error InsufficientAllowance()',
+  'error InsufficientBalance()',
+  'error TweetIdAlreadyUsed()',
+  'error GrantAlreadyIssued()',
+  'error InsufficientContractBalance()',
+]);
+
+const TOKEN_ABI = [...erc20Abi, ...parseAbi(['error InsufficientBalance()', 'error InsufficientAllowance()'])];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_HASH = '0x' + '0'.repeat(64);
+
+class Revert extends Error {
+  constructor(abi, errorName) {
+    super(`execution reverted: ${errorName}`);
+    this.code = 3;
+    this.data = encodeErrorResult({ abi, errorName });
+  }
+}
+
+const key = address => address.toLowerCase();
+
+/**
+ * @param {{ chainId: number, router: string, monipayRouter: string, treasury: string,
+ *   executor: string, tokens: string[], feeBps?: number }} config - tokens are TIP-20
+ *   addresses, the first being the one MoniBotRouter pays out
+ */
+export function createMockChain({ chainId, router, monipayRouter, treasury, executor, tokens, feeBps = 130 }) {
+  let state = {
+    balances: new Map(tokens.map(token => [key(token), new Map()])),
+    allowances: new Map(),
+    routerNonces: new Map(),
+    usedTweetIds: new Set(),
+    issuedGrants: new Set(),
+  };
+  const txNonces = new Map();
+  const receipts = new Map();
+  let blockNumber = 1n;
+
+  // ============ State ============
+
+  const balanceOf = (s, token, owner) => s.balances.get(key(token))?.get(key(owner)) || 0n;
+  const setBalance = (s, token, owner, value) => s.balances.get(key(token)).set(key(owner), value);
+  const allowanceKey = (token, owner, spender) => `${key(token)}:${key(owner)}:${key(spender)}`;
+
+  function move(s, logs, token, from, to, value, abi) {
+    if (balanceOf(s, token, from) < value) throw new Revert(abi, 'InsufficientBalance');
+    setBalance(s, token, from, balanceOf(s, token, from) - value);
+    setBalance(s, token, to, balanceOf(s, token, to) + value);
+    logs.push({
+      address: token,
+      topics: encodeEventTopics({ abi: erc20Abi, eventName: 'Transfer', args: { from, to } }),
+      data: encodeAbiParameters([{ type: 'uint256' }], [value]),
+    });
+  }
+
+  // ============ Contracts ============
+
+  function callToken(s, logs, token, from, data) {
+    const { functionName, args } = decodeFunctionData({ abi: erc20Abi, data });
+    const result = value => encodeFunctionResult({ abi: erc20Abi, functionName, result: value });
+
+    switch (functionName) {
+      case 'balanceOf':
+        return result(balanceOf(s, token, args[0]));
+      case 'allowance':
+        return result(s.allowances.get(allowanceKey(token, args[0], args[1])) || 0n);
+      case 'decimals':
+        return result(6);
+      case 'transfer':
+        move(s, logs, token, from, args[0], args[1], TOKEN_ABI);
+        return result(true);
+      case 'transferFrom': {
+        const [owner, to, value] = args;
+        const allowance = s.allowances.get(allowanceKey(token, owner, from)) || 0n;
+        if (allowance < value) throw new Revert(TOKEN_ABI, 'InsufficientAllowance');
+        s.allowances.set(allowanceKey(token, owner, from), allowance - value);
+        move(s, logs, token, owner, to, value, TOKEN_ABI);
+        return result(true);
+      }
+      case 'approve':
+        s.allowances.set(allowanceKey(token, from, args[0]), args[1]);
+        return result(true);
+      default:
+        throw new Error(`Mock TIP-20 has no ${functionName}`);
+    }
+  }
+
+  function callRouter(s, logs, from, data) {
+    const { functionName, args } = decodeFunctionData({ abi: ROUTER_ABI, data });
+    const token = tokens[0];
+    const revert = name => {
+      throw new Revert(ROUTER_ABI, name);
+    };
+    const payout = (payer, to, amount) => {
+      const fee = (amount * BigInt(feeBps)) / 10000n;
+      move(s, logs, token, payer, to, amount - fee, ROUTER_ABI);
+      if (fee > 0n) move(s, logs, token, payer, treasury, fee, ROUTER_ABI);
+    };
+
+    if (functionName === 'nonces') {
+      return encodeFunctionResult({ abi: ROUTER_ABI, functionName, result: s.routerNonces.get(key(args[0])) || 0n });
+    }
+    if (key(from) !== key(executor)) revert('NotExecutor');
+
+    if (functionName === 'executeGrant') {
+      const [to, amount, campaignId] = args;
+      if (key(to) === ZERO_ADDRESS) revert('InvalidAddress');
+      if (amount === 0n) revert('InvalidAmount');
+      const grant = `${campaignId}:${key(to)}`;
+      if (s.issuedGrants.has(grant)) revert('GrantAlreadyIssued');
+      if (balanceOf(s, token, router) < amount) revert('InsufficientContractBalance');
+      s.issuedGrants.add(grant);
+      payout(router, to, amount);
+    } else {
+      const [sender, to, amount, nonce, tweetId] = args;
+      if (key(to) === ZERO_ADDRESS) revert('InvalidAddress');
+      if (amount === 0n) revert('InvalidAmount');
+      if (nonce !== (s.routerNonces.get(key(sender)) || 0n)) revert('InvalidNonce');
+      if (s.usedTweetIds.has(tweetId)) revert('TweetIdAlreadyUsed');
+      const allowance = s.allowances.get(allowanceKey(token, sender, router)) || 0n;
+      if (allowance < amount) revert('InsufficientAllowance');
+      if (balanceOf(s, token, sender) < amount) revert('InsufficientBalance');
+      s.allowances.set(allowanceKey(token, sender, router), allowance - amount);
+      s.routerNonces.set(key(sender), nonce + 1n);
+      s.usedTweetIds.add(tweetId);
+      payout(sender, to, amount);
+    }
+    return encodeFunctionResult({ abi: ROUTER_ABI, functionName, result: true });
+  }
+
+  /**
+   * Run calls from one sender against a copy of the state
+   * @returns {{ state, logs, output }} - throws Revert if any call reverts
+   */
+  function execute(from, calls) {
+    const s = structuredClone(state);
+    const logs = [];
+    let output = '0x';
+    for (const { to, data = '0x' } of calls) {
+      if (!to || data === '0x') continue;
+      if (key(to) === key(router)) output = callRouter(s, logs, from, data);
+      else if (s.balances.has(key(to))) output = callToken(s, logs, to, from, data);
+      else output = '0x';
+    }
+    return { state: s, logs, output };
+  }
+
+  // ============ Transactions ============
+
+  function mine(rawTx) {
+    const hash = keccak256(rawTx);
+    if (receipts.has(hash)) return hash;
+
+    const tx = Transaction.deserialize(rawTx);
+    const expected = txNonces.get(key(tx.from)) || 0;
+    if (tx.nonce < expected) {
+      throw Object.assign(new Error('nonce too low'), { code: -32000 });
+    }
+    txNonces.set(key(tx.from), expected + 1);
+
+    let status = '0x1';
+    let logs = [];
+    try {
+      ({ state, logs } = execute(tx.from, tx.calls));
+    } catch (error) {
+      if (!(error instanceof Revert)) throw error;
+      status = '0x0';
+    }
+
+    blockNumber++;
+    const block = toHex(blockNumber);
+    receipts.set(hash, {
+      transactionHash: hash,
+      transactionIndex: '0x0',
+      blockHash: ZERO_HASH,
+      blockNumber: block,
+      from: tx.from,
+      to: tx.calls[0]?.to || null,
+      cumulativeGasUsed: '0x5208',
+      gasUsed: '0x5208',
+      effectiveGasPrice: '0x1',
+      contractAddress: null,
+      logsBloom: '0x' + '0'.repeat(512),
+      status,
+      type: '0x76',
+      logs: logs.map((log, i) => ({
+        ...log,
+        blockHash: ZERO_HASH,
+        blockNumber: block,
+        transactionHash: hash,
+        transactionIndex: '0x0',
+        logIndex: toHex(i),
+        removed: false,
+      })),
+    });
+    return hash;
+  }
+
+  async function request({ method, params = [] }) {
+    switch (method) {
+      case 'eth_chainId':
+        return toHex(chainId);
+      case 'eth_blockNumber':
+        return toHex(blockNumber);
+      case 'eth_getBlockByNumber':
+        return {
+          number: toHex(blockNumber),
+          hash: ZERO_HASH,
+          parentHash: ZERO_HASH,
+          timestamp: toHex(Math.floor(Date.now() / 1000)),
+          baseFeePerGas: '0x1',
+          gasLimit: '0x1c9c380',
+          gasUsed: '0x0',
+          transactions: [],
+        };
+      case 'eth_getCode':
+        return [router, monipayRouter].some(a => key(a) === key(params[0])) ? '0x6000' : '0x';
+      case 'eth_gasPrice':
+      case 'eth_maxPriorityFeePerGas':
+        return '0x1';
+      case 'eth_getTransactionCount':
+        return toHex(txNonces.get(key(params[0])) || 0);
+      case 'eth_call':
+        return execute(params[0].from || ZERO_ADDRESS, [params[0]]).output;
+      case 'eth_estimateGas':
+        execute(params[0].from || ZERO_ADDRESS, params[0].calls || [params[0]]);
+        return '0x30000';
+      case 'eth_sendRawTransaction':
+        return mine(params[0]);
+      case 'eth_getTransactionReceipt':
+        return receipts.get(params[0]) || null;
+      case 'eth_getTransactionByHash':
+        return null;
+      default:
+        throw new Error(`Mock chain does not serve ${method}`);
+    }
+  }
+
+  return {
+    transport: custom({ request }),
+
+    /** Token balance in base units */
+    balanceOf: (token, owner) => balanceOf(state, token, owner),
+
+    /** Credit an account out of thin air (genesis allocation) */
+    mint(token, owner, value) {
+      setBalance(state, token, owner, balanceOf(state, token, owner) + value);
+    },
+
+    /** Set what an owner lets a spender pull, as if they had called approve */
+    approve(token, owner, spender, value) {
+      state.allowances.set(allowanceKey(token, owner, spender), value);
+    },
+
+    /** Router P2P nonce of a sender */
+    routerNonce: sender => state.routerNonces.get(key(sender)) || 0n,
+
+    /** Mined receipts, oldest first, in RPC (hex) form */
+    receipts: () => [...receipts.values()],
+  };
+}
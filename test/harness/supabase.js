@@ -0,0 +1,327 @@
+/**
+ * In-memory Supabase stand-in for the worker tests.
+ *
+ * Covers the slice of the supabase-js query builder the worker uses:
+ * select / insert / update / upsert / delete, the eq-family filters (with
+ * "payload->>key" JSON paths), in, is, not, ilike, or(), order, limit,
+ * range, single / maybeSingle and exact counts. Rows get an id and
+ * created_at, plus any per-table defaults; unique columns reject
+ * duplicates with Postgres' 23505. The campaign slot SQL functions are
+ * re-implemented in RPCS against the same tables.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// Column defaults the worker relies on (see supabase/migrations)
+const DEFAULTS = {
+  monibot_transactions: { replied: false, reply_attempts: 0, fee_mismatch: false, token: 'AlphaUSD' },
+  monibot_jobs: { status: 'pending', attempts: 0, replaced_tx_hashes: [], cancelled: false },
+  monibot_escrows: { status: 'held', release_attempts: 0 },
+  monibot_pending_commands: { status: 'pending', reasons: [], prompt_attempts: 0, run_attempts: 0 },
+  monibot_query_commands: { status: 'pending', reply_attempts: 0 },
+  campaigns: { eligibility_rules: {}, current_participants: 0, budget_spent: 0 },
+};
+
+const UNIQUE = {
+  monibot_jobs: ['job_key'],
+  monibot_escrows: ['job_key'],
+  monibot_cursors: ['key'],
+  monibot_pending_commands: ['tweet_id'],
+  monibot_query_commands: ['tweet_id'],
+  monibot_campaign_summaries: ['campaign_id'],
+};
+
+// ============ Filters ============
+
+function columnValue(row, column) {
+  const [field, path] = column.split('->>');
+  const value = path ? row[field]?.[path] : row[field];
+  return path && value !== undefined && value !== null ? String(value) : value;
+}
+
+// SQL LIKE → RegExp: % is any run, _ any one character, \ escapes
+function likeToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\' && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (c === '%') source += '.*';
+    else if (c === '_') source += '.';
+    else source += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 'is');
+}
+
+const OPERATORS = {
+  eq: (value, arg) => value !== undefined && value !== null && String(value) === String(arg),
+  neq: (value, arg) => value !== undefined && value !== null && String(value) !== String(arg),
+  gt: (value, arg) => value !== null && value !== undefined && value > arg,
+  gte: (value, arg) => value !== null && value !== undefined && value >= arg,
+  lt: (value, arg) => value !== null && value !== undefined && value < arg,
+  lte: (value, arg) => value !== null && value !== undefined && value <= arg,
+  in: (value, arg) => arg.map(String).includes(String(value)),
+  is: (value, arg) => (value ?? null) === arg,
+  ilike: (value, arg) => typeof value === 'string' && likeToRegExp(arg).test(value),
+};
+
+// "a.eq.1,b.ilike.x" - the value is everything after the second dot
+function parseOr(expression) {
+  return expression.split(',').map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    const raw = rest.join('.');
+    return { column, operator, arg: operator === 'is' && raw === 'null' ? null : raw };
+  });
+}
+
+// ============ Query Builder ============
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.returning = false;
+  }
+
+  select(columns, { count, head } = {}) {
+    if (this.action === 'select') {
+      this.count = count;
+      this.head = head;
+    }
+    this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.rows = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.rows = [].concat(rows);
+    this.conflict = onConflict.split(',');
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, arg) {
+    this.filters.push(row => OPERATORS[operator](columnValue(row, column), arg));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+  not(column, operator, arg) {
+    // PostgREST spells lists as "(a,b)" after not
+    if (operator === 'in' && typeof arg === 'string') arg = arg.slice(1, -1).split(',');
+    this.filters.push(row => !OPERATORS[operator](columnValue(row, column), arg));
+    return this;
+  }
+
+  or(expression) {
+    const clauses = parseOr(expression);
+    this.filters.push(row => clauses.some(c => OPERATORS[c.operator](columnValue(row, c.column), c.arg)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to];
+    return this;
+  }
+
+  single() {
+    this.one = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.one = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    try {
+      resolve(this.run());
+    } catch (error) {
+      reject(error);
+    }
+  }
+
+  run() {
+    const rows = this.db.table(this.table);
+    const matches = row => this.filters.every(f => f(row));
+    let out;
+
+    switch (this.action) {
+      case 'insert': {
+        const error = this.db.checkUnique(this.table, this.rows);
+        if (error) return { data: null, error };
+        out = this.rows.map(row => this.db.add(this.table, row));
+        break;
+      }
+      case 'upsert':
+        out = [];
+        for (const row of this.rows) {
+          const existing = rows.find(r => this.conflict.every(c => String(r[c]) === String(row[c])));
+          if (!existing) out.push(this.db.add(this.table, row));
+          else if (!this.ignoreDuplicates) out.push(Object.assign(existing, structuredClone(row)));
+        }
+        break;
+      case 'update':
+        out = rows.filter(matches);
+        for (const row of out) Object.assign(row, structuredClone(this.values));
+        break;
+      case 'delete':
+        out = rows.filter(matches);
+        this.db.tables[this.table] = rows.filter(row => !matches(row));
+        break;
+      default: {
+        out = rows.filter(matches);
+        if (this.ordering) {
+          const { column, ascending } = this.ordering;
+          out = [...out].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+        }
+        const total = out.length;
+        if (this.window) out = out.slice(this.window[0], this.window[1] + 1);
+        if (this.max !== undefined) out = out.slice(0, this.max);
+        if (this.head) return { data: null, error: null, count: total };
+        if (this.count) this.total = total;
+      }
+    }
+
+    // Callers get copies, as they would over the wire
+    const data = structuredClone(out);
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+    if (this.one === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } };
+    }
+    if (this.one === 'maybe') {
+      return data.length > 1
+        ? { data: null, error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` } }
+        : { data: data[0] ?? null, error: null };
+    }
+    return { data, error: null, ...(this.count && { count: this.total }) };
+  }
+}
+
+// ============ SQL Functions ============
+
+const RPCS = {
+  reserve_campaign_slot(db, { p_campaign_id, p_tweet_id, p_amount }) {
+    const slots = db.table('monibot_campaign_slots');
+    if (slots.some(s => s.campaign_id === p_campaign_id && s.tweet_id === p_tweet_id)) return true;
+
+    const campaign = db.table('campaigns').find(
+      c =>
+        c.id === p_campaign_id &&
+        c.status === 'active' &&
+        (!c.max_participants || (c.current_participants || 0) < c.max_participants) &&
+        (!c.budget || (c.budget_spent || 0) + p_amount <= c.budget) &&
+        (!c.ends_at || Date.parse(c.ends_at) > Date.now())
+    );
+    if (!campaign) return false;
+
+    campaign.current_participants = (campaign.current_participants || 0) + 1;
+    campaign.budget_spent = (campaign.budget_spent || 0) + p_amount;
+    db.add('monibot_campaign_slots', { campaign_id: p_campaign_id, tweet_id: p_tweet_id, amount: p_amount });
+    return true;
+  },
+
+  release_campaign_slot(db, { p_campaign_id, p_tweet_id }) {
+    const slots = db.table('monibot_campaign_slots');
+    const slot = slots.find(s => s.campaign_id === p_campaign_id && s.tweet_id === p_tweet_id);
+    if (!slot) return false;
+
+    db.tables.monibot_campaign_slots = slots.filter(s => s !== slot);
+    const campaign = db.table('campaigns').find(c => c.id === p_campaign_id);
+    if (campaign) {
+      campaign.current_participants = Math.max((campaign.current_participants || 0) - 1, 0);
+      campaign.budget_spent = Math.max((campaign.budget_spent || 0) - slot.amount, 0);
+    }
+    return true;
+  },
+
+};
+
+/**
+ * @param {Object<string, object[]>} [seed] - initial rows per table
+ * @returns a client for initSupabase / init* with the raw rows on .tables
+ */
+export function createSupabaseStore(seed = {}) {
+  const db = {
+    tables: {},
+
+    table(name) {
+      return (db.tables[name] ||= []);
+    },
+
+    add(name, row) {
+      const stored = {
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...structuredClone(DEFAULTS[name] || {}),
+        ...structuredClone(row),
+      };
+      db.table(name).push(stored);
+      return stored;
+    },
+
+    checkUnique(name, rows) {
+      for (const column of UNIQUE[name] || []) {
+        const taken = new Set(db.table(name).map(r => r[column]));
+        for (const row of rows) {
+          if (taken.has(row[column])) {
+            return { code: '23505', message: `duplicate key value violates unique constraint on ${name}.${column}` };
+          }
+          taken.add(row[column]);
+        }
+      }
+      return null;
+    },
+  };
+
+  for (const [name, rows] of Object.entries(seed)) for (const row of rows) db.add(name, row);
+
+  return {
+    tables: db.tables,
+    from: table => new Query(db, table),
+    rpc: async (name, args) => {
+      if (!RPCS[name]) return { data: null, error: { message: `Could not find the function public.${name}` } };
+      return { data: RPCS[name](db, args), error: null };
+    },
+  };
+}
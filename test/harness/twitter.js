@@ -0,0 +1,102 @@
+/**
+ * Fake Twitter v2 client for the worker tests: a timeline of tweets the
+ * search endpoint answers from, and a record of the replies the worker posts.
+ *
+ * search() understands the operators the worker sends: bare terms,
+ * (a OR b) groups, conversation_id:, is:reply and -is:retweet, plus
+ * since_id, max_results and next_token paging. Results come newest first,
+ * shaped like twitter-api-v2's paginator (raw body on .data, expansions
+ * on .includes).
+ */
+
+let nextId = 1_900_000_000_000_000_000n;
+
+function matchesTerm(tweet, term) {
+  if (term === '-is:retweet') return true;
+  if (term === 'is:reply') return !!tweet.in_reply_to;
+  if (term.startsWith('conversation_id:')) return tweet.conversation_id === term.slice('conversation_id:'.length);
+  if (term.startsWith('(')) return term.slice(1, -1).split(/\s+OR\s+/).some(t => matchesTerm(tweet, t));
+  return new RegExp(`(^|[^\\w@])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'iu').test(tweet.text);
+}
+
+function matchesQuery(tweet, query) {
+  return (query.match(/\([^)]*\)|\S+/g) || []).every(term => matchesTerm(tweet, term));
+}
+
+export function createFakeTwitter() {
+  const users = new Map();
+  const tweets = [];
+  const replies = [];
+
+  function user(username) {
+    if (!users.has(username)) {
+      users.set(username, {
+        id: String(users.size + 1),
+        username,
+        created_at: '2020-01-01T00:00:00.000Z',
+        public_metrics: { followers_count: 100 },
+      });
+    }
+    return users.get(username);
+  }
+
+  async function search(queryOrParams, options = {}) {
+    const { query, ...params } = typeof queryOrParams === 'string' ? { query: queryOrParams, ...options } : queryOrParams;
+    const found = tweets
+      .filter(t => !params.since_id || BigInt(t.id) > BigInt(params.since_id))
+      .filter(t => matchesQuery(t, query))
+      .reverse();
+
+    const offset = Number(params.next_token || 0);
+    const size = params.max_results || 10;
+    const page = found.slice(offset, offset + size).map(({ in_reply_to, ...tweet }) => ({
+      ...tweet,
+      ...(in_reply_to && { referenced_tweets: [{ type: 'replied_to', id: in_reply_to }] }),
+    }));
+    const authors = [...new Set(page.map(t => t.author_id))].map(id => [...users.values()].find(u => u.id === id));
+
+    const meta = {
+      result_count: page.length,
+      ...(page.length && { newest_id: page[0].id, oldest_id: page[page.length - 1].id }),
+      ...(offset + size < found.length && { next_token: String(offset + size) }),
+    };
+    const includes = { users: authors };
+    return { data: { ...(page.length && { data: page, includes }), meta }, includes };
+  }
+
+  return {
+    v2: {
+      search,
+      async reply(text, inReplyTo) {
+        const id = String(nextId++);
+        replies.push({ id, text, in_reply_to: inReplyTo });
+        return { data: { id, text } };
+      },
+    },
+
+    /**
+     * Publish a tweet the worker can find
+     * @param {string} username - author, created on first use
+     * @param {{ replyTo?: string }} [opts] - tweet ID this replies to (same conversation)
+     * @returns {string} the new tweet's ID, ascending like real snowflake IDs
+     */
+    tweet(username, text, { replyTo } = {}) {
+      const id = String(nextId++);
+      const parent = replyTo && tweets.find(t => t.id === replyTo);
+      tweets.push({
+        id,
+        text,
+        author_id: user(username).id,
+        created_at: new Date().toISOString(),
+        conversation_id: parent ? parent.conversation_id : replyTo || id,
+        in_reply_to: replyTo || null,
+      });
+      return id;
+    },
+
+    user,
+
+    /** Replies posted by the worker, oldest first: { id, text, in_reply_to } */
+    replies,
+  };
+}
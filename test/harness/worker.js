@@ -0,0 +1,107 @@
+/**
+ * Boots the worker's modules against the in-memory Supabase store, the fake
+ * Twitter client and the mock chain, and runs poll cycles on demand.
+ *
+ * The modules read their configuration from the environment when first
+ * imported, so startWorker() can be called once per test file (each file
+ * runs in its own process under `node --test`).
+ */
+
+import { parseUnits } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createSupabaseStore } from './supabase.js';
+import { createFakeTwitter } from './twitter.js';
+import { createMockChain } from './chain.js';
+
+export const EXECUTOR_KEY = '0x' + '11'.repeat(32);
+export const MONIBOT_ROUTER = '0x00000000000000000000000000000000000000b0';
+export const MONIPAY_ROUTER = '0x00000000000000000000000000000000000000b1';
+export const TREASURY = '0x00000000000000000000000000000000000000fe';
+export const MONIBOT_PROFILE_ID = '00000000-0000-0000-0000-000000000b07';
+export const ALPHA_USD = '0x20c0000000000000000000000000000000000001';
+export const BETA_USD = '0x20c0000000000000000000000000000000000002';
+
+// Test addresses are readable: 0x...a11ce, 0x...b0b
+export const address = suffix => '0x' + suffix.padStart(40, '0');
+
+// Whole token units → base units (all TIP-20 tokens here have 6 decimals)
+export const units = amount => parseUnits(String(amount), 6);
+
+const BASE_ENV = {
+  TEMPO_NETWORK: 'devnet',
+  TEMPO_RPC_URL: 'http://mock-chain.invalid',
+  MONIBOT_ROUTER_ADDRESS: MONIBOT_ROUTER,
+  MONIPAY_ROUTER_ADDRESS: MONIPAY_ROUTER,
+  TREASURY_ADDRESS: TREASURY,
+  TEMPO_EXECUTOR_PRIVATE_KEY: EXECUTOR_KEY,
+  MONIBOT_PROFILE_ID,
+  LOG_FORMAT: 'pretty',
+  REPLY_INTERVAL_MS: '0',
+};
+
+/**
+ * @param {{ env?: object, seed?: object, verbose?: boolean }} [opts] - env on top of
+ *   the harness defaults, initial store rows, and whether to keep worker logs on the console
+ * @returns {Promise<{ store, twitter, chain, executor: string, runCycle: () => Promise<void>,
+ *   steps: Object<string, () => Promise<number>>, logs: string[] }>} - steps are the cycle's
+ *   stages by name, for a test that drives one module on its own
+ */
+export async function startWorker({ env = {}, seed = {}, verbose = false } = {}) {
+  Object.assign(process.env, BASE_ENV, env);
+
+  // Worker output is kept for debugging instead of interleaving with the test report
+  const logs = [];
+  if (!verbose) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      console[method] = (...args) => logs.push(args.join(' '));
+    }
+  }
+
+  const { initSupabase, processCampaignQueue } = await import('../../database.js');
+  const { initTwitter } = await import('../../twitter.js');
+  const { initBlockchain, TEMPO_CHAIN } = await import('../../blockchain.js');
+  const { initP2P, pollP2PCommands } = await import('../../p2p.js');
+  const { initConfirmations, processConfirmations } = await import('../../confirmations.js');
+  const { initEscrow, processEscrows } = await import('../../escrow.js');
+  const { initJobs, reconcileJobs } = await import('../../jobs.js');
+  const { initTransactions } = await import('../../transactions.js');
+  const { initCursors } = await import('../../cursors.js');
+  const { initReplies, processReplyQueue } = await import('../../replies.js');
+  const { initQueries, processQueryCommands } = await import('../../queries.js');
+
+  const executor = privateKeyToAccount(EXECUTOR_KEY).address;
+  const store = createSupabaseStore(seed);
+  const twitter = createFakeTwitter();
+  const chain = createMockChain({
+    chainId: TEMPO_CHAIN.id,
+    router: MONIBOT_ROUTER,
+    monipayRouter: MONIPAY_ROUTER,
+    treasury: TREASURY,
+    executor,
+    tokens: [ALPHA_USD, BETA_USD],
+  });
+
+  initSupabase(store);
+  await initTwitter(twitter);
+  await initBlockchain({ transport: chain.transport });
+  for (const init of [initP2P, initConfirmations, initEscrow, initJobs, initTransactions, initCursors, initReplies, initQueries]) {
+    init(store);
+  }
+
+  // The same steps, in the same order, as a poll cycle in index.js
+  const steps = {
+    reconcileJobs,
+    processCampaignQueue,
+    pollP2PCommands,
+    processConfirmations,
+    processEscrows,
+    processReplyQueue,
+    processQueryCommands,
+  };
+
+  async function runCycle() {
+    for (const step of Object.values(steps)) await step();
+  }
+
+  return { store, twitter, chain, executor, runCycle, steps, logs };
+}
@@ -0,0 +1,62 @@
+/**
+ * Spending limit decisions for a P2P command against the sender's recent
+ * p2p_command rows.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateSpendingLimits } from '../limits.js';
+
+const now = new Date().toISOString();
+
+const command = (amount, tags = ['bob']) => ({
+  total: amount * tags.length,
+  recipients: tags.map(tag => ({ tag, amount })),
+});
+
+const row = (tweetId, fields) => ({
+  tweet_id: tweetId,
+  amount: 10,
+  token: 'AlphaUSD',
+  status: 'completed',
+  error_code: null,
+  tx_hash: `0x${tweetId}`,
+  recipient_pay_tag: 'bob',
+  created_at: now,
+  ...fields,
+});
+
+describe('evaluateSpendingLimits', () => {
+  it('sums the daily total in the command token only', () => {
+    const history = [row('1', { amount: 20000 }), row('2', { amount: 4000, token: 'BetaUSD' })];
+
+    const alpha = evaluateSpendingLimits({ parsed: command(6000), settings: null, history, token: 'AlphaUSD' });
+    assert.equal(alpha.allowed, false);
+    assert.equal(alpha.code, 'DAILY_LIMIT_EXCEEDED');
+    assert.equal(alpha.spent_24h, 20000);
+
+    const beta = evaluateSpendingLimits({ parsed: command(6000), settings: null, history, token: 'BetaUSD' });
+    assert.equal(beta.allowed, true);
+    assert.equal(beta.spent_24h, 4000);
+  });
+
+  it('counts only sent commands towards velocity', () => {
+    const refused = Array.from({ length: 12 }, (_, i) =>
+      row(`s${i}`, { status: i % 2 ? 'skipped' : 'failed', error_code: 'DAILY_LIMIT_EXCEEDED', tx_hash: 'ERROR_DAILY_LIMIT_EXCEEDED' })
+    );
+    const decision = evaluateSpendingLimits({ parsed: command(1), settings: null, history: refused, token: 'AlphaUSD' });
+    assert.equal(decision.allowed, true);
+
+    const reverted = Array.from({ length: 10 }, (_, i) => row(`r${i}`, { status: 'failed', error_code: 'TX_REVERTED' }));
+    const flagged = evaluateSpendingLimits({ parsed: command(1), settings: null, history: reverted, token: 'AlphaUSD' });
+    assert.equal(flagged.code, 'VELOCITY_FLAGGED');
+  });
+
+  it('counts distinct recipients of sent commands only', () => {
+    const tags = Array.from({ length: 16 }, (_, i) => `friend${i}`);
+    const history = [row('1', { status: 'skipped', error_code: 'RECIPIENT_LIMIT_EXCEEDED', tx_hash: 'ERROR_RECIPIENT_LIMIT_EXCEEDED', recipient_pay_tag: tags.join(',') })];
+
+    const decision = evaluateSpendingLimits({ parsed: command(1, ['bob']), settings: null, history, token: 'AlphaUSD' });
+    assert.equal(decision.allowed, true);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * P2P commands end to end: command tweets found by search, confirmed by the
+ * sender where needed, pulled from the sender's allowance (through the mock
+ * MoniBotRouter for AlphaUSD), recorded in monibot_transactions and answered.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker, address, units, ALPHA_USD, BETA_USD, MONIBOT_ROUTER, TREASURY } from './harness/worker.js';
+
+const ALICE = address('a11ce');
+const BOB = address('b0b');
+const DAVE = address('da7e');
+
+describe('P2P commands', () => {
+  let worker;
+  let store;
+  let chain;
+  let twitter;
+
+  const rowsFor = tweetId => (store.tables.monibot_transactions || []).filter(r => r.tweet_id === tweetId);
+  const balance = owner => chain.balanceOf(ALPHA_USD, owner);
+
+  // Two legs of a command left pending by an earlier run, sent as one batch by the reconciler
+  const insertPendingLegs = async (tweetId, amount) => {
+    for (const index of [0, 1]) {
+      await store.from('monibot_jobs').insert({
+        job_key: `p2p:${tweetId}:${index}`,
+        kind: 'p2p',
+        tweet_id: tweetId,
+        payload: {
+          senderAddress: ALICE,
+          recipientAddress: BOB,
+          amount,
+          token: 'AlphaUSD',
+          replayKey: `${tweetId}:${index}`,
+          row: { tweet_id: tweetId, chain: 'tempo', sender_id: 'p-alice', receiver_id: 'p-bob', type: 'p2p_command', recipient_pay_tag: 'bobpays' },
+        },
+      });
+    }
+  };
+
+  // Reply "confirm" to the prompt the worker posted for a held command
+  const confirm = tweetId => {
+    const prompt = twitter.replies.find(r => r.in_reply_to === tweetId);
+    assert.ok(prompt, `no confirmation prompt for ${tweetId}`);
+    twitter.tweet('alice', '@monibot confirm', { replyTo: prompt.id });
+  };
+
+  before(async () => {
+    worker = await startWorker({
+      env: { P2P_MAX_PER_DAY: '25' },
+      seed: {
+        profiles: [
+          { id: 'p-alice', x_username: 'alice', pay_tag: 'alice', tempo_address: ALICE },
+          { id: 'p-bob', x_username: 'Bob', pay_tag: 'bobpays', tempo_address: BOB },
+        ],
+      },
+    });
+    ({ store, chain, twitter } = worker);
+
+    chain.mint(ALPHA_USD, ALICE, units(100));
+    chain.approve(ALPHA_USD, ALICE, MONIBOT_ROUTER, units(50));
+    chain.mint(BETA_USD, ALICE, units(100));
+    chain.approve(BETA_USD, ALICE, worker.executor, units(20));
+  });
+
+  it('holds a send to a new recipient until the sender confirms, then pays it', async () => {
+    const command = twitter.tweet('alice', '@monibot send $10 to @bob on tempo');
+
+    await worker.runCycle();
+    assert.equal(balance(BOB), 0n);
+    assert.equal(store.tables.monibot_pending_commands[0].status, 'pending');
+
+    confirm(command);
+    await worker.runCycle();
+
+    assert.equal(balance(ALICE), units(90));
+    assert.equal(balance(BOB), units('9.87'));
+    assert.equal(balance(TREASURY), units('0.13'));
+    assert.equal(chain.routerNonce(ALICE), 1n);
+
+    const [row] = rowsFor(command);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.recipient_pay_tag, 'bobpays');
+    assert.equal(row.amount, 10);
+    assert.equal(row.fee, 0.13);
+    assert.equal(row.replied, true);
+    assert.ok(worker.logs.some(l => l.startsWith(`job.confirmed job_key=p2p:${command}:0 tx_hash=${row.tx_hash} amount=10`)));
+  });
+
+  it('does not pay a command twice when it is seen again', async () => {
+    store.tables.monibot_cursors.length = 0;
+
+    await worker.runCycle();
+
+    assert.equal(balance(ALICE), units(90));
+    assert.equal(chain.routerNonce(ALICE), 1n);
+    assert.equal(store.tables.monibot_transactions.filter(r => r.type === 'p2p_command').length, 1);
+  });
+
+  it('splits between a known recipient and an escrowed newcomer', async () => {
+    const command = twitter.tweet('alice', '@monibot split $10 between @bob and @Dave on tempo');
+
+    await worker.runCycle();
+    confirm(command);
+    await worker.runCycle();
+
+    assert.equal(balance(BOB), units('14.805'));
+    assert.equal(balance(worker.executor), units('4.935'));
+
+    const rows = rowsFor(command);
+    assert.deepEqual(rows.map(r => [r.recipient_pay_tag, r.status]).sort(), [['Dave', 'escrowed'], ['bobpays', 'completed']]);
+
+    const [escrow] = store.tables.monibot_escrows;
+    assert.equal(escrow.recipient_tag, 'Dave');
+    assert.equal(escrow.refund_address, ALICE);
+  });
+
+  it('counts escrowed sends towards the daily limit', async () => {
+    const command = twitter.tweet('alice', '@monibot send $6 to @bob on tempo');
+
+    await worker.runCycle();
+
+    const [row] = rowsFor(command);
+    assert.equal(row.status, 'skipped');
+    assert.equal(row.error_code, 'DAILY_LIMIT_EXCEEDED');
+    assert.equal(balance(ALICE), units(80));
+  });
+
+  it('sends a non-router token by transferFrom on the executor allowance', async () => {
+    const command = twitter.tweet('alice', '@monibot send 5 betausd to @bob on tempo');
+
+    await worker.runCycle();
+
+    assert.equal(chain.balanceOf(BETA_USD, ALICE), units(95));
+    assert.equal(chain.balanceOf(BETA_USD, BOB), units('4.935'));
+    assert.equal(chain.balanceOf(BETA_USD, TREASURY), units('0.065'));
+
+    const [row] = rowsFor(command);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.token, 'BetaUSD');
+  });
+
+  it('keeps a separate daily total per token', async () => {
+    // 20 αUSD and 5 βUSD sent today: another 5 αUSD is still within the 25 limit
+    const command = twitter.tweet('alice', '@monibot send $5 to @bob on tempo');
+
+    await worker.runCycle();
+
+    const [row] = rowsFor(command);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.limit_decision.spent_24h, 20);
+  });
+
+  it('releases the escrow once the newcomer links their X account', async () => {
+    await store.from('profiles').insert({ id: 'p-dave', x_username: 'dave', pay_tag: 'dave', tempo_address: DAVE });
+
+    await worker.runCycle();
+
+    assert.equal(balance(DAVE), units('4.935'));
+    assert.equal(balance(worker.executor), 0n);
+    assert.equal(store.tables.monibot_escrows[0].status, 'claimed');
+  });
+
+  it('fails legs that fit the allowance one by one but not together', async () => {
+    chain.approve(ALPHA_USD, ALICE, MONIBOT_ROUTER, units(8));
+    const before = balance(ALICE);
+    await insertPendingLegs('2001', 5);
+    await worker.steps.reconcileJobs();
+
+    assert.equal(balance(ALICE), before);
+    const rows = rowsFor('2001');
+    assert.deepEqual(rows.map(r => [r.status, r.error_code]), [['failed', 'INSUFFICIENT_ALLOWANCE'], ['failed', 'INSUFFICIENT_ALLOWANCE']]);
+  });
+
+  it('stops broadcasting once the leader lease is lost and leaves the rest pending', async () => {
+    // Imported once the harness has set the environment the module reads on load
+    const { setBroadcastGuard } = await import('../blockchain.js');
+    const before = balance(ALICE);
+    const mined = chain.receipts().length;
+    await insertPendingLegs('2002', 2);
+
+    // The lease runs out as soon as the first leg is on-chain
+    setBroadcastGuard(() => chain.receipts().length === mined);
+    await worker.steps.reconcileJobs();
+
+    assert.equal(balance(ALICE), before - units(2));
+    const jobs = store.tables.monibot_jobs.filter(j => j.tweet_id === '2002');
+    assert.deepEqual(jobs.map(j => j.status), ['confirmed', 'pending']);
+
+    // The next leader's reconciler sends the other one
+    setBroadcastGuard(() => true);
+    await worker.steps.reconcileJobs();
+
+    assert.equal(balance(ALICE), before - units(4));
+    assert.deepEqual(rowsFor('2002').map(r => r.status), ['completed', 'completed']);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * parser.js: table-driven cases for the P2P command grammar and tokenizer
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseP2PCommand, tokenize, handlePattern } from '../parser.js';
+
+const pay = (...pairs) => pairs.map(([tag, amount]) => ({ tag, amount }));
+
+// [tweet, expected fields of a successful parse]
+const COMMANDS = [
+  // Amount forms
+  ['@monibot send $5 to @alice', { mode: 'single', recipients: pay(['alice', 5]), total: 5, token: null }],
+  ['@monibot send $5.50 to @alice', { recipients: pay(['alice', 5.5]), total: 5.5 }],
+  ['@monibot send $1,000 to @alice', { recipients: pay(['alice', 1000]) }],
+  ['@monibot send $1,000.50 to @alice', { recipients: pay(['alice', 1000.5]) }],
+  ['@monibot send 5$ to @alice', { recipients: pay(['alice', 5]), token: null }],
+  ['@monibot send 5 usd to @alice', { recipients: pay(['alice', 5]), token: null }],
+  ['@monibot send 5 dollars to @alice', { recipients: pay(['alice', 5]), token: null }],
+  ['@monibot send 5 alphausd to @alice', { recipients: pay(['alice', 5]), token: 'AlphaUSD' }],
+  ['@monibot send 5 αusd to @alice', { recipients: pay(['alice', 5]), token: 'AlphaUSD' }],
+  ['@monibot send 5 βusd to @alice', { recipients: pay(['alice', 5]), token: 'BetaUSD' }],
+  ['@monibot send $5 to @alice in betausd', { recipients: pay(['alice', 5]), token: 'BetaUSD' }],
+  ['@monibot send 5 to @alice', { recipients: pay(['alice', 5]) }],
+  ['@monibot send $.5 to @alice', { recipients: pay(['alice', 0.5]) }],
+  ['@monibot send $0.123456 to @alice', { recipients: pay(['alice', 0.123456]) }],
+  ['@monibot send $10000 to @alice', { recipients: pay(['alice', 10000]), total: 10000 }],
+
+  // Verbs, filler and word order
+  ['@monibot pay @alice $2', { verb: 'pay', recipients: pay(['alice', 2]) }],
+  ['@monibot please tip @alice $1', { verb: 'tip', recipients: pay(['alice', 1]) }],
+  ['@monibot, give $3 to @alice', { verb: 'give', recipients: pay(['alice', 3]) }],
+  ['@monibot can you transfer $4 to @alice', { verb: 'transfer', recipients: pay(['alice', 4]) }],
+  ['hey @monibot send $5 to @alice', { recipients: pay(['alice', 5]) }],
+  ['@monibot send $5 to @Alice_B', { recipients: pay(['Alice_B', 5]) }],
+
+  // Recipient lists: each vs split vs total
+  ['@monibot send $5 to @alice and @bob', { mode: 'each', recipients: pay(['alice', 5], ['bob', 5]), total: 10 }],
+  ['@monibot send $5 each to @alice and @bob', { mode: 'each', recipients: pay(['alice', 5], ['bob', 5]), total: 10 }],
+  ['@monibot send $5 to @alice, @bob & @carol', { mode: 'each', total: 15 }],
+  ['@monibot send $5 to @alice @bob apiece', { mode: 'each', total: 10 }],
+  ['@monibot split $10 between @alice and @bob', { verb: 'split', mode: 'split', recipients: pay(['alice', 5], ['bob', 5]), total: 10 }],
+  ['@monibot send $10 total to @alice, @bob', { mode: 'split', recipients: pay(['alice', 5], ['bob', 5]), total: 10 }],
+  ['@monibot send $10 to @alice @bob in total', { mode: 'split', total: 10 }],
+  ['@monibot send $10 to @alice @bob split evenly', { mode: 'split', recipients: pay(['alice', 5], ['bob', 5]) }],
+  // Splits round down to the micro-unit, never paying out more than asked
+  ['@monibot send $10 to @alice, @bob and @carol split', { mode: 'split', recipients: pay(['alice', 3.333333], ['bob', 3.333333], ['carol', 3.333333]), total: 9.999999 }],
+
+  // Per-recipient amounts
+  ['@monibot send $3 to @alice and $2 to @bob', { mode: 'explicit', recipients: pay(['alice', 3], ['bob', 2]), total: 5 }],
+  ['@monibot send @alice $3, @bob $2', { mode: 'explicit', recipients: pay(['alice', 3], ['bob', 2]) }],
+  ['@monibot send $2 each to @alice @bob and $1 to @carol', { mode: 'explicit', recipients: pay(['alice', 2], ['bob', 2], ['carol', 1]), total: 5 }],
+
+  // Memos
+  ['@monibot send $5 to @alice for pizza', { recipients: pay(['alice', 5]), memo: 'pizza' }],
+  ['@monibot send $5 to @alice "rent share"', { memo: 'rent share' }],
+  ['@monibot send $5 to @alice memo: lunch', { memo: 'lunch' }],
+  ['@monibot send $5 to @alice on tempo for coffee', { memo: 'coffee', network: 'tempo' }],
+  ['@monibot send $5 to @alice', { memo: null }],
+
+  // Network phrases
+  ['@monibot send $5 to @alice on tempo', { network: 'tempo' }],
+  ['@monibot tip @alice $1 via tempo', { network: 'tempo' }],
+
+  // Mentions after the command are not recipients
+  ['@monibot send $5 to @alice on tempo, thanks @bob', { mode: 'single', recipients: pay(['alice', 5]), total: 5 }],
+  ['@monibot send $5 to @alice. cc @bob', { recipients: pay(['alice', 5]) }],
+  ['@monibot send $5 to @alice for lunch with @bob', { recipients: pay(['alice', 5]) }],
+];
+
+// [tweet, code, reason pattern]
+const REJECTED = [
+  // Passing mentions
+  ['just saw @monibot is cool', 'NOT_A_COMMAND', /No send\/pay command/],
+  ['@monibot thanks for the grant!', 'NOT_A_COMMAND', /No send\/pay command/],
+  ['I will send $5 to @alice, says @monibot', 'NOT_A_COMMAND', /No send\/pay command/],
+  ['', 'NOT_A_COMMAND', /No send\/pay command/],
+
+  // Other networks
+  ['@monibot send $5 to @alice on base', 'NOT_A_COMMAND', /for base, not Tempo/],
+  ['@monibot send $5 to @alice on solana', 'NOT_A_COMMAND', /for solana, not Tempo/],
+
+  // Bad amounts
+  ['@monibot send $1.1234567 to @alice', 'PARSE_FAILED', /more than 6 decimals/],
+  ['@monibot send $10001 to @alice', 'PARSE_FAILED', /over the 10000 limit/],
+  ['@monibot send $0 to @alice', 'PARSE_FAILED', /greater than zero/],
+
+  // Incomplete commands
+  ['@monibot send $5', 'PARSE_FAILED', /No recipient/],
+  ['@monibot send to @alice', 'PARSE_FAILED', /No amount/],
+  ['@monibot send', 'PARSE_FAILED', /Nothing to send/],
+
+  // Recipients the bot won't pay
+  ['@monibot send $5 to @monibot', 'PARSE_FAILED', /Cannot pay @monibot/],
+  ['@monibot send $5 to @alice and @monipay', 'PARSE_FAILED', /Cannot pay @monipay/],
+  ['@monibot send $5 to @alice and @alice', 'PARSE_FAILED', /more than once/],
+  ['@monibot send $5 to @alice and @Alice', 'PARSE_FAILED', /more than once/],
+  ['@monibot send $5 to @MoniBot', 'PARSE_FAILED', /Cannot pay @monibot/],
+
+  // One token per command
+  ['@monibot send 5 alphausd to @alice in betausd', 'PARSE_FAILED', /Mixes tokens/],
+];
+
+describe('parseP2PCommand', () => {
+  for (const [text, expected] of COMMANDS) {
+    it(`parses ${JSON.stringify(text)}`, () => {
+      const parsed = parseP2PCommand(text);
+      assert.equal(parsed.ok, true, parsed.reason);
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(parsed[field], value, field);
+      }
+    });
+  }
+
+  for (const [text, code, reason] of REJECTED) {
+    it(`rejects ${JSON.stringify(text)} as ${code}`, () => {
+      const parsed = parseP2PCommand(text);
+      assert.equal(parsed.ok, false);
+      assert.equal(parsed.code, code);
+      assert.match(parsed.reason, reason);
+    });
+  }
+});
+
+// [text, expected tokens as [kind, raw] or [kind, raw, extra fields]]
+const TOKENS = [
+  ['@monibot send', [['mention', '@monibot', { value: 'monibot' }], ['word', 'send', { value: 'send' }]]],
+  ['@Alice', [['mention', '@Alice', { value: 'alice' }]]],
+  ['$5', [['amount', '$5', { micros: 5_000_000, currency: null }]]],
+  ['$ 5', [['amount', '$ 5', { micros: 5_000_000 }]]],
+  ['5$', [['amount', '5$', { micros: 5_000_000, currency: null }]]],
+  ['$1,000.25', [['amount', '$1,000.25', { micros: 1_000_250_000 }]]],
+  ['5 alphausd', [['amount', '5 alphausd', { micros: 5_000_000, currency: 'alphausd' }]]],
+  ['5alphausd', [['amount', '5alphausd', { currency: 'alphausd' }]]],
+  ['5 usd', [['amount', '5 usd', { currency: 'usd' }]]],
+  ['$5 βusd', [['amount', '$5 βusd', { currency: 'βusd' }]]],
+  ['1.1234567', [['number', '1.1234567', { micros: null }]]],
+  ['7', [['number', '7', { micros: 7_000_000, currency: null }]]],
+  ['5 usdc', [['number', '5'], ['word', 'usdc']]],
+  ['#tempo', [['hashtag', '#tempo', { value: 'tempo' }]]],
+  ['"rent share"', [['quoted', '"rent share"', { value: 'rent share' }]]],
+  ['“rent”', [['quoted', '“rent”', { value: 'rent' }]]],
+  ['https://x.com/alice/status/1', [['url', 'https://x.com/alice/status/1']]],
+  ['@alice, @bob & @carol', [['mention', '@alice'], ['punct', ','], ['mention', '@bob'], ['punct', '&'], ['mention', '@carol']]],
+  ["what's up", [['word', "what's"], ['word', 'up']]],
+];
+
+describe('tokenize', () => {
+  for (const [text, expected] of TOKENS) {
+    it(`tokenizes ${JSON.stringify(text)}`, () => {
+      const tokens = tokenize(text);
+      assert.deepEqual(tokens.map(t => [t.kind, t.raw]), expected.map(([kind, raw]) => [kind, raw]));
+      for (const [i, [, , fields = {}]] of expected.entries()) {
+        for (const [field, value] of Object.entries(fields)) assert.deepEqual(tokens[i][field], value, `${i}.${field}`);
+      }
+    });
+  }
+
+  it('keeps source offsets', () => {
+    const text = '@monibot  send $5';
+    for (const token of tokenize(text)) assert.equal(text.slice(token.start, token.end), token.raw);
+  });
+});
+
+describe('handlePattern', () => {
+  it('drops the @ and escapes the LIKE wildcard in handles', () => {
+    assert.equal(handlePattern('@Alice_B'), 'Alice\\_B');
+    assert.equal(handlePattern('alice'), 'alice');
+  });
+});
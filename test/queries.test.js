@@ -0,0 +1,74 @@
+/**
+ * Read-only commands end to end: query tweets found by search, recorded in
+ * monibot_query_commands and answered with a reply of their own.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker, address, units, ALPHA_USD } from './harness/worker.js';
+
+const ALICE = address('a11ce');
+
+describe('read-only commands', () => {
+  let worker;
+  let store;
+  let chain;
+  let twitter;
+
+  const queryFor = tweetId => (store.tables.monibot_query_commands || []).find(r => r.tweet_id === tweetId);
+  const replyTo = tweetId => twitter.replies.filter(r => r.in_reply_to === tweetId);
+
+  before(async () => {
+    worker = await startWorker({
+      env: { BALANCE_DISCLOSURE: 'exact' },
+      seed: {
+        profiles: [{ id: 'p-alice', x_username: 'alice', pay_tag: 'alice', tempo_address: ALICE }],
+      },
+    });
+    ({ store, chain, twitter } = worker);
+
+    chain.mint(ALPHA_USD, ALICE, units(12));
+  });
+
+  it('answers a balance query with the balance when the reply is posted', async () => {
+    const reply = twitter.v2.reply;
+    twitter.v2.reply = async () => {
+      throw new Error('Service Unavailable');
+    };
+    const query = twitter.tweet('alice', '@monibot balance on tempo');
+
+    await worker.runCycle();
+    twitter.v2.reply = reply;
+    assert.equal(queryFor(query).status, 'pending');
+    assert.equal(replyTo(query).length, 0);
+
+    chain.mint(ALPHA_USD, ALICE, units(8));
+    await worker.runCycle();
+
+    const [answer] = replyTo(query);
+    assert.match(answer.text, /Your balance on Tempo: 20 αUSD/);
+    const row = queryFor(query);
+    assert.equal(row.status, 'replied');
+    assert.equal(row.reply_text, answer.text);
+    assert.equal(row.profile_id, 'p-alice');
+  });
+
+  it('searches again for a query tweet that failed to record', async () => {
+    const query = twitter.tweet('alice', '@monibot history');
+    // The store drops the connection once, as the query is being recorded
+    const from = store.from.bind(store);
+    store.from = table => {
+      if (table !== 'monibot_query_commands') return from(table);
+      store.from = from;
+      throw new Error('connection reset');
+    };
+
+    await worker.steps.processQueryCommands();
+    assert.equal(queryFor(query), undefined);
+
+    await worker.steps.processQueryCommands();
+
+    assert.equal(queryFor(query).status, 'replied');
+    assert.equal(replyTo(query).length, 1);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Reply queue: settled monibot_transactions rows are answered once per
+ * tweet, and only after every leg of the command has settled.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './harness/worker.js';
+
+describe('reply queue', () => {
+  let worker;
+  let store;
+  let twitter;
+
+  const settledRow = (tweetId, fields = {}) => ({
+    tweet_id: tweetId,
+    chain: 'tempo',
+    tx_hash: 'skip_' + tweetId,
+    amount: 1,
+    fee: 0,
+    type: 'p2p_command',
+    status: 'skipped',
+    error_code: 'DAILY_LIMIT_EXCEEDED',
+    recipient_pay_tag: 'bob',
+    ...fields,
+  });
+
+  before(async () => {
+    worker = await startWorker({ env: { REPLY_BATCH_SIZE: '1' } });
+    ({ store, twitter } = worker);
+  });
+
+  it('does not let a command with legs in flight hold back newer tweets', async () => {
+    const split = '1001';
+    const later = '1002';
+
+    // Five legs settled and the sixth still submitted: more rows than one batch reads
+    const legs = Array.from({ length: 5 }, (_, i) => settledRow(split, { recipient_pay_tag: `leg${i}` }));
+    await store.from('monibot_transactions').insert([...legs, settledRow(later)]);
+    await store.from('monibot_jobs').insert({ job_key: `p2p:${split}:5`, kind: 'p2p', tweet_id: split, status: 'submitted', payload: {} });
+
+    await worker.steps.processReplyQueue();
+
+    assert.deepEqual(twitter.replies.map(r => r.in_reply_to), [later]);
+    assert.ok(store.tables.monibot_transactions.filter(r => r.tweet_id === split).every(r => !r.replied));
+  });
+
+  it('answers the command once its last leg settles', async () => {
+    const [job] = store.tables.monibot_jobs;
+    await store.from('monibot_jobs').update({ status: 'failed' }).eq('id', job.id);
+
+    await worker.steps.processReplyQueue();
+
+    assert.equal(twitter.replies.length, 2);
+    assert.ok(store.tables.monibot_transactions.every(r => r.replied));
+  });
+});
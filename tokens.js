@@ -0,0 +1,103 @@
+/**
+ * Tempo Worker Token Registry
+ *
+ * TIP-20 stablecoins the worker can pay in: address, symbol, decimals and
+ * the words a tweet may use for each. Tokens marked viaRouter go through
+ * MoniBotRouter; the router only handles AlphaUSD, so other tokens are paid
+ * from the executor wallet (grants) or pulled from the sender with
+ * transferFrom (P2P), fee leg included in the same transaction.
+ *
+ * Extra tokens can be added with TEMPO_TOKENS (JSON array of the same shape),
+ * e.g. [{"symbol":"GammaUSD","address":"0x...","decimals":6,"aliases":["gammausd"]}]
+ */
+
+const BUILTIN_TOKENS = [
+  {
+    symbol: 'AlphaUSD',
+    label: 'αUSD',
+    address: '0x20c0000000000000000000000000000000000001',
+    decimals: 6,
+    aliases: ['alphausd', 'αusd', 'alpha usd'],
+    viaRouter: true,
+  },
+  {
+    symbol: 'BetaUSD',
+    label: 'βUSD',
+    address: '0x20c0000000000000000000000000000000000002',
+    decimals: 6,
+    aliases: ['betausd', 'βusd', 'beta usd'],
+  },
+  {
+    symbol: 'ThetaUSD',
+    label: 'θUSD',
+    address: '0x20c0000000000000000000000000000000000003',
+    decimals: 6,
+    aliases: ['thetausd', 'θusd', 'theta usd'],
+  },
+  {
+    symbol: 'pathUSD',
+    label: 'pathUSD',
+    address: '0x20c0000000000000000000000000000000000000',
+    decimals: 6,
+    aliases: ['pathusd', 'path usd'],
+  },
+];
+
+function normalize(token) {
+  if (!token.symbol || !/^0x[0-9a-fA-F]{40}$/.test(token.address || '')) {
+    throw new Error(`Invalid token entry: ${JSON.stringify(token)}`);
+  }
+  return {
+    symbol: token.symbol,
+    label: token.label || token.symbol,
+    address: token.address,
+    decimals: token.decimals ?? 6,
+    aliases: [...new Set([token.symbol, ...(token.aliases || [])].map(a => a.toLowerCase()))],
+    viaRouter: !!token.viaRouter,
+  };
+}
+
+function loadTokens() {
+  const extra = process.env.TEMPO_TOKENS ? JSON.parse(process.env.TEMPO_TOKENS) : [];
+  const bySymbol = new Map();
+  for (const token of [...BUILTIN_TOKENS, ...extra].map(normalize)) bySymbol.set(token.symbol.toLowerCase(), token);
+  return [...bySymbol.values()];
+}
+
+const TOKENS = loadTokens();
+
+/**
+ * Look a token up by symbol, alias or address (case-insensitive)
+ * @returns token entry, or null if unknown
+ */
+export function findToken(ref) {
+  if (!ref) return null;
+  const key = ref.toString().trim().toLowerCase();
+  return TOKENS.find(t => t.address.toLowerCase() === key || t.aliases.includes(key)) || null;
+}
+
+export const DEFAULT_TOKEN = findToken(process.env.DEFAULT_TOKEN || 'AlphaUSD');
+if (!DEFAULT_TOKEN) throw new Error(`DEFAULT_TOKEN "${process.env.DEFAULT_TOKEN}" is not in the token registry`);
+
+/**
+ * Like findToken, but an empty ref means the default token and an unknown
+ * one is an error
+ */
+export function resolveToken(ref) {
+  if (!ref) return DEFAULT_TOKEN;
+  const token = findToken(ref);
+  if (!token) throw new Error(`Unknown token "${ref}"`);
+  return token;
+}
+
+export function listTokens() {
+  return TOKENS;
+}
+
+/**
+ * Display label for a stored token symbol (empty means the default token)
+ */
+export function tokenLabel(ref) {
+  if (!ref) return DEFAULT_TOKEN.label;
+  return findToken(ref)?.label || ref;
+}
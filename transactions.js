@@ -0,0 +1,26 @@
+/**
+ * Tempo Worker Transaction Ledger
+ *
+ * The one place monibot_transactions rows are written: every grant, P2P
+ * leg, skip, failure and escrow release goes through insertTransaction,
+ * which also counts the row in the payout metrics.
+ */
+
+import { observePayout } from './metrics.js';
+
+let supabase = null;
+
+export function initTransactions(supabaseClient) {
+  supabase = supabaseClient;
+  console.log('✅ Transaction ledger initialized');
+}
+
+/**
+ * Write a monibot_transactions row and count it in the payout metrics.
+ * Throws if the write fails, so a tweet is never treated as handled without its row.
+ */
+export async function insertTransaction(row) {
+  const { error } = await supabase.from('monibot_transactions').insert(row);
+  if (error) throw error;
+  observePayout(row);
+}
@@ -1,33 +1,61 @@
 /**
  * Tempo Worker Twitter Module
  * Uses OAuth 2.0 for Twitter API access.
+ *
+ * Posting replies needs a user-context token (TWITTER_ACCESS_TOKEN, from the
+ * bot account's OAuth 2.0 login with tweet.write). App-only auth from the
+ * client ID and secret can search but not post, so it is only accepted in
+ * DRY_RUN, where nothing is posted.
  */
 
 import { TwitterApi } from 'twitter-api-v2';
+import { DRY_RUN } from './blockchain.js';
 
 let twitterClient = null;
 
-export async function initTwitter() {
+/**
+ * @param {object} [client] - ready-made client exposing the v2 API (e.g. a fake search
+ *   client); built from the TWITTER_* env vars when omitted
+ */
+export async function initTwitter(client) {
+  if (client) {
+    twitterClient = client;
+    console.log('✅ Twitter initialized (injected client)');
+    return;
+  }
+
   const clientId = process.env.TWITTER_CLIENT_ID;
   const clientSecret = process.env.TWITTER_CLIENT_SECRET;
   const accessToken = process.env.TWITTER_ACCESS_TOKEN;
 
-  if (!clientId || !clientSecret) {
+  if (!accessToken && (!clientId || !clientSecret)) {
     console.warn('⚠️ Twitter credentials not set - running without Twitter');
     return;
   }
 
-  try {
-    if (accessToken) {
-      twitterClient = new TwitterApi(accessToken);
-      console.log('✅ Twitter initialized (Bearer token)');
-    } else {
-      const client = new TwitterApi({ clientId, clientSecret });
-      twitterClient = await client.appLogin();
-      console.log('✅ Twitter initialized (App-only auth)');
+  if (!accessToken) {
+    if (!DRY_RUN) {
+      console.error('❌ TWITTER_ACCESS_TOKEN not set - app-only auth cannot post replies');
+      process.exit(1);
     }
+    try {
+      twitterClient = await new TwitterApi({ clientId, clientSecret }).appLogin();
+      console.log('✅ Twitter initialized (App-only auth, DRY_RUN: no replies are posted)');
+    } catch (error) {
+      console.error('❌ Twitter init failed:', error.message);
+    }
+    return;
+  }
+
+  // users/me only answers in user context, so an app-only bearer token fails here
+  const userClient = new TwitterApi(accessToken);
+  try {
+    const { data: me } = await userClient.v2.me();
+    twitterClient = userClient;
+    console.log(`✅ Twitter initialized (user context, @${me.username})`);
   } catch (error) {
-    console.error('❌ Twitter init failed:', error.message);
+    console.error('❌ TWITTER_ACCESS_TOKEN is not a working user-context token:', error.message);
+    process.exit(1);
   }
 }
 